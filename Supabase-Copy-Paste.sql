@@ -1,28 +1,351 @@
--- Create Users Table
+-- Create Users Table (users are scoped per tenant, the same phone can use several bots)
 CREATE TABLE users (
   id BIGSERIAL PRIMARY KEY,
-  user_id TEXT NOT NULL UNIQUE,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
   message_count INTEGER DEFAULT 0,
   is_subscribed BOOLEAN DEFAULT FALSE,
+  stripe_customer_id TEXT UNIQUE,
+  subscription_status TEXT,
+  subscription_period_end TIMESTAMP WITH TIME ZONE,
+  subscription_price_id TEXT,
+  plan TEXT,
+  plan_expires_at TIMESTAMP WITH TIME ZONE,
+  usage_count INTEGER DEFAULT 0,
+  lifetime_usage_count INTEGER DEFAULT 0,  -- Usage under lifetime quotas, kept while the plan has a daily or monthly window
+  usage_window TEXT,
+  usage_period_start TIMESTAMP WITH TIME ZONE,
+  last_message_at TIMESTAMP WITH TIME ZONE,
+  opted_out BOOLEAN DEFAULT FALSE,
+  opted_out_at TIMESTAMP WITH TIME ZONE,
+  country TEXT,  -- ISO 3166 region resolved from the number, like DE or JM
+  country_calling_code TEXT,  -- Like 49 or 1
+  timezone TEXT,  -- IANA name like Europe/Berlin, used for reminders
+  language TEXT,  -- Locale of the system messages, like de
+  language_source TEXT CHECK (language_source IN ('detected', 'user')),
+  language_samples INTEGER NOT NULL DEFAULT 0,  -- Messages the language detection has looked at
+  voice_replies TEXT CHECK (voice_replies IN ('off', 'mirror', 'always')),  -- Chosen with /voice, NULL follows voice.mode
+  access_override TEXT CHECK (access_override IN ('granted', 'revoked')),
+  access_override_until TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, user_id)
 );
 
 -- Create Messages Table
 CREATE TABLE messages (
   id BIGSERIAL PRIMARY KEY,
-  user_id TEXT NOT NULL REFERENCES users(user_id),
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
   role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
   content TEXT NOT NULL,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  media_ids BIGINT[] NOT NULL DEFAULT '{}',  -- Files the user sent with this message (media_files.id)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id, user_id) REFERENCES users(tenant_id, user_id)
 );
 
 -- Create an index for faster queries on user_id
-CREATE INDEX idx_messages_user_id ON messages(user_id);
+CREATE INDEX idx_messages_user_id ON messages(tenant_id, user_id);
 
 -- Create an index for ordering by created_at
 CREATE INDEX idx_messages_created_at ON messages(created_at);
 
+-- Create Media Files Table (photos and files users sent, kept in the media storage)
+-- With the supabase storage driver, also create a private bucket named like storage.drivers.supabase.bucket
+CREATE TABLE media_files (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
+  sha256 TEXT NOT NULL,             -- Hash of the content, a file sent again is stored once
+  mime_type TEXT NOT NULL,          -- As reported by the WhatsApp media API
+  size INTEGER NOT NULL,            -- Bytes
+  storage TEXT NOT NULL,            -- Driver the file was saved with: local or supabase
+  path TEXT NOT NULL,               -- Key within the storage
+  whatsapp_media_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, user_id, sha256),
+  FOREIGN KEY (tenant_id, user_id) REFERENCES users(tenant_id, user_id)
+);
+
+-- Create User Memories Table (rolling summary of older conversation turns)
+CREATE TABLE user_memories (
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
+  summary TEXT,
+  facts JSONB NOT NULL DEFAULT '{}',
+  summarized_until_id BIGINT NOT NULL DEFAULT 0,  -- Messages up to this id are covered by the summary
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tenant_id, user_id),
+  FOREIGN KEY (tenant_id, user_id) REFERENCES users(tenant_id, user_id)
+);
+
+-- Create Care Reminders Table (reminders the assistant created for a user)
+CREATE TABLE care_reminders (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
+  plant TEXT,
+  task TEXT NOT NULL,
+  remind_at TIMESTAMP WITH TIME ZONE NOT NULL,  -- Next time the reminder is sent
+  timezone TEXT NOT NULL DEFAULT 'UTC',         -- Repeats keep their local time in this timezone
+  repeat_interval INTEGER CHECK (repeat_interval > 0),
+  repeat_unit TEXT CHECK (repeat_unit IN ('day', 'week', 'month')),
+  repeat_anchor_day INTEGER CHECK (repeat_anchor_day BETWEEN 1 AND 31),  -- Local day of the month monthly repeats return to
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'cancelled')),
+  last_sent_at TIMESTAMP WITH TIME ZONE,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id, user_id) REFERENCES users(tenant_id, user_id)
+);
+
+-- Create an index for finding due reminders
+CREATE INDEX idx_care_reminders_status_remind_at ON care_reminders(status, remind_at);
+
+-- Create Admin Audit Log Table (every call to the admin API)
+CREATE TABLE admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_user_id TEXT,
+  details JSONB,
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create an index for looking up the actions on a user
+CREATE INDEX idx_admin_audit_log_target_user_id ON admin_audit_log(target_user_id);
+
+-- Create Processed Messages Table (inbound WhatsApp message IDs, for deduplicating webhook retries)
+CREATE TABLE processed_messages (
+  message_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create an index for purging expired message IDs
+CREATE INDEX idx_processed_messages_expires_at ON processed_messages(expires_at);
+
+-- Create Outbound Messages Table (everything the bot sent, with WhatsApp message ID and delivery state)
+CREATE TABLE outbound_messages (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  message_id TEXT UNIQUE,
+  user_id TEXT NOT NULL,
+  reply_to_message_id TEXT,
+  message_type TEXT NOT NULL,
+  content TEXT,
+  status TEXT NOT NULL CHECK (status IN ('accepted', 'sent', 'delivered', 'read', 'failed')),
+  error JSONB,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create an index for looking up what a user received
+CREATE INDEX idx_outbound_messages_user_id ON outbound_messages(tenant_id, user_id);
+
+-- Create Message Statuses Table (sent/delivered/read/failed updates for outgoing WhatsApp messages)
+CREATE TABLE message_statuses (
+  id BIGSERIAL PRIMARY KEY,
+  message_id TEXT NOT NULL,
+  recipient_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  errors JSONB,
+  status_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (message_id, status)  -- Each status once, redelivered webhooks repeat them
+);
+
+-- Create an index for looking up the statuses of a message
+CREATE INDEX idx_message_statuses_message_id ON message_statuses(message_id);
+
+-- Create Message Jobs Table (durable queue for incoming WhatsApp messages)
+CREATE TABLE message_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  progress JSONB NOT NULL DEFAULT '{}',  -- Steps already done (usage, reply with its message ID, saved), not repeated on retry
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create an index for picking up due jobs
+CREATE INDEX idx_message_jobs_status_run_at ON message_jobs(status, run_at);
+
+-- Create Campaigns Table (template messages scheduled for an audience)
+-- audience: 'free_over_limit', 'inactive_subscribers' or 'all'
+CREATE TABLE campaigns (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL DEFAULT 'default',  -- Sent from this tenant's number to its users
+  name TEXT NOT NULL,
+  template_name TEXT NOT NULL,
+  language_code TEXT NOT NULL DEFAULT 'en_US',
+  body_parameters JSONB,
+  audience TEXT NOT NULL,
+  inactive_days INTEGER,
+  messages_per_minute INTEGER,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('draft', 'scheduled', 'running', 'completed', 'cancelled')),
+  scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE,
+  locked_at TIMESTAMP WITH TIME ZONE,  -- Refreshed while running, a stale lock lets another instance resume the campaign
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create Campaign Recipients Table (per-recipient result of a campaign)
+CREATE TABLE campaign_recipients (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id BIGINT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  tenant_id TEXT NOT NULL DEFAULT 'default',
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),  -- skipped: opted out before the send
+  message_id TEXT,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (campaign_id, user_id),
+  FOREIGN KEY (tenant_id, user_id) REFERENCES users(tenant_id, user_id)
+);
+
+-- Create an index for finding due campaigns
+CREATE INDEX idx_campaigns_status_scheduled_at ON campaigns(status, scheduled_at);
+
+-- Function to count a message against the user's plan quota in one atomic step.
+-- Starts a new period when the window rolled over or the plan window changed. Lifetime
+-- usage is never reset: switching back to a lifetime quota continues where it stopped.
+-- p_cost: scans the message costs (videos and documents can cost more than a text)
+DROP FUNCTION IF EXISTS consume_message_quota(TEXT, TEXT, TEXT, INTEGER);
+CREATE OR REPLACE FUNCTION consume_message_quota(p_tenant_id TEXT, p_user_id TEXT, p_window TEXT, p_quota INTEGER, p_cost INTEGER DEFAULT 1)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER, quota INTEGER) AS $$
+DECLARE
+  v_period_start TIMESTAMP WITH TIME ZONE;
+  v_used INTEGER;
+BEGIN
+  v_period_start := CASE p_window
+    WHEN 'daily' THEN date_trunc('day', CURRENT_TIMESTAMP)
+    WHEN 'monthly' THEN date_trunc('month', CURRENT_TIMESTAMP)
+    ELSE 'epoch'::TIMESTAMP WITH TIME ZONE
+  END;
+
+  INSERT INTO users (tenant_id, user_id) VALUES (p_tenant_id, p_user_id)
+  ON CONFLICT (tenant_id, user_id) DO NOTHING;
+
+  UPDATE users
+  SET usage_count = CASE WHEN p_window = 'lifetime' THEN lifetime_usage_count ELSE 0 END,
+      usage_window = p_window,
+      usage_period_start = v_period_start
+  WHERE tenant_id = p_tenant_id AND user_id = p_user_id
+    AND (usage_window IS DISTINCT FROM p_window OR usage_period_start IS DISTINCT FROM v_period_start);
+
+  -- The quota check and the increment happen in the same statement
+  UPDATE users
+  SET usage_count = usage_count + p_cost,
+      lifetime_usage_count = lifetime_usage_count + CASE WHEN p_window = 'lifetime' THEN p_cost ELSE 0 END,
+      message_count = message_count + 1,
+      last_message_at = CURRENT_TIMESTAMP
+  WHERE tenant_id = p_tenant_id AND user_id = p_user_id AND (p_quota IS NULL OR usage_count + p_cost <= p_quota)
+  RETURNING usage_count INTO v_used;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT TRUE, v_used, p_quota;
+  ELSE
+    UPDATE users SET last_message_at = CURRENT_TIMESTAMP
+    WHERE tenant_id = p_tenant_id AND user_id = p_user_id
+    RETURNING usage_count INTO v_used;
+    RETURN QUERY SELECT FALSE, v_used, p_quota;
+  END IF;
+END;
+$$ language 'plpgsql';
+
+-- Function to queue a message, merging it into the user's pending job while the debounce window is open
+CREATE OR REPLACE FUNCTION enqueue_message_job(
+  p_tenant_id TEXT,
+  p_user_id TEXT,
+  p_message JSONB,
+  p_debounce_seconds DOUBLE PRECISION,
+  p_max_wait_seconds DOUBLE PRECISION,
+  p_max_attempts INTEGER
+)
+RETURNS message_jobs AS $$
+DECLARE
+  job message_jobs;
+BEGIN
+  -- Serialize enqueues per user so a burst lands in one job
+  PERFORM pg_advisory_xact_lock(hashtext(p_tenant_id || ':' || p_user_id));
+
+  SELECT * INTO job FROM message_jobs
+  WHERE tenant_id = p_tenant_id AND user_id = p_user_id AND status = 'pending' AND attempts = 0
+  ORDER BY id DESC
+  LIMIT 1
+  FOR UPDATE;
+
+  IF FOUND AND p_debounce_seconds > 0 THEN
+    UPDATE message_jobs
+    SET payload = jsonb_set(payload, '{messages}', (payload->'messages') || jsonb_build_array(p_message)),
+        run_at = LEAST(
+          CURRENT_TIMESTAMP + make_interval(secs => p_debounce_seconds),
+          created_at + make_interval(secs => p_max_wait_seconds)
+        )
+    WHERE id = job.id
+    RETURNING * INTO job;
+  ELSE
+    INSERT INTO message_jobs (tenant_id, user_id, payload, max_attempts, run_at)
+    VALUES (
+      p_tenant_id,
+      p_user_id,
+      jsonb_build_object('from', p_user_id, 'messages', jsonb_build_array(p_message)),
+      p_max_attempts,
+      CURRENT_TIMESTAMP + make_interval(secs => p_debounce_seconds)
+    )
+    RETURNING * INTO job;
+  END IF;
+
+  RETURN job;
+END;
+$$ language 'plpgsql';
+
+-- Function to claim due jobs (and jobs stuck in processing), only ever the oldest unfinished job per user
+CREATE OR REPLACE FUNCTION claim_message_jobs(batch_size INTEGER, lock_timeout_seconds INTEGER)
+RETURNS SETOF message_jobs AS $$
+BEGIN
+  -- One claim at a time, so two workers never pick jobs of the same user
+  PERFORM pg_advisory_xact_lock(hashtext('claim_message_jobs'));
+
+  RETURN QUERY
+  UPDATE message_jobs
+  SET status = 'processing',
+      locked_at = CURRENT_TIMESTAMP,
+      attempts = message_jobs.attempts + 1
+  WHERE message_jobs.id IN (
+    SELECT head.id FROM (
+      SELECT DISTINCT ON (j.tenant_id, j.user_id) j.id, j.status, j.run_at, j.locked_at
+      FROM message_jobs j
+      WHERE j.status IN ('pending', 'processing')
+      ORDER BY j.tenant_id, j.user_id, j.id
+    ) head
+    WHERE (head.status = 'pending' AND head.run_at <= CURRENT_TIMESTAMP)
+       OR (head.status = 'processing' AND head.locked_at < CURRENT_TIMESTAMP - make_interval(secs => lock_timeout_seconds))
+    ORDER BY head.run_at
+    LIMIT batch_size
+  )
+  RETURNING message_jobs.*;
+END;
+$$ language 'plpgsql';
+
 -- Function to update the updated_at timestamp automatically
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -37,3 +360,27 @@ CREATE TRIGGER update_users_updated_at
 BEFORE UPDATE ON users
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update the updated_at timestamp when a job is updated
+CREATE TRIGGER update_message_jobs_updated_at
+BEFORE UPDATE ON message_jobs
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update the updated_at timestamp when an outbound message is updated
+CREATE TRIGGER update_outbound_messages_updated_at
+BEFORE UPDATE ON outbound_messages
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update the updated_at timestamp when a campaign is updated
+CREATE TRIGGER update_campaigns_updated_at
+BEFORE UPDATE ON campaigns
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update the updated_at timestamp when a user memory is updated
+CREATE TRIGGER update_user_memories_updated_at
+BEFORE UPDATE ON user_memories
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -1,13 +1,23 @@
 require('dotenv').config();
 const express = require('express');
 const webhookRoutes = require('./src/routes/webhookRoutes');
-const paymentRoutes = require('./src/routes/paymentRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const messageController = require('./src/controllers/messageController');
+const queueService = require('./src/services/queueService');
+const campaignService = require('./src/services/campaignService');
+const reminderService = require('./src/services/reminderService');
+const deduplicationService = require('./src/services/deduplicationService');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
 // This line should come before the routes
-app.use(express.json());
+// Keep the raw body around for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 app.use((req, res, next) => {
   console.log(`Request received: ${req.method} ${req.url}`);
@@ -17,8 +27,8 @@ app.use((req, res, next) => {
 // Use the webhook routes
 app.use('/webhooks', webhookRoutes);
 
-// Use payment routes
-app.use('/payment', paymentRoutes);
+// Use admin routes (API key required)
+app.use('/admin', adminRoutes);
 
 app.get('/', (req, res) => {
   res.send('Server is running');
@@ -36,4 +46,19 @@ app.use((req, res) => {
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+});
+
+// Start the workers that process queued WhatsApp messages
+queueService.startWorkers({
+  processJob: messageController.processQueuedMessage,
+  onDeadLetter: messageController.handleFailedMessage
+});
+
+// Send scheduled template campaigns
+campaignService.startScheduler();
+
+// Send due plant-care reminders
+reminderService.startScheduler();
+
+// Forget handled message IDs once Meta no longer retries them
+deduplicationService.startPurge();
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { getEncoding } = require('js-tiktoken');
+const botConfig = require('../config/botConfig');
+
+let encoder = null;
+
+function getEncoder() {
+  if (!encoder) {
+    encoder = getEncoding(botConfig.ai.context.encoding);
+  }
+  return encoder;
+}
+
+function countTokens(message) {
+  const { imageTokens, messageOverhead } = botConfig.ai.context;
+  const parts = typeof message.content === 'string'
+    ? [{ type: 'text', text: message.content }]
+    : message.content;
+
+  return parts.reduce((total, part) => {
+    if (part.type === 'image_url') return total + imageTokens;
+    return total + getEncoder().encode(part.text || '').length;
+  }, messageOverhead);
+}
+
+// Builds the role-tagged chat messages sent to the model: system prompt (with the user's
+// long-term memory), as much history as fits in the token budget (newest turns win) and the new user message.
+// history: [{ role, content }] oldest first, content: parts of the new user message
+function buildChatMessages({ systemPrompt, memory, history, content }) {
+  const system = { role: 'system', content: memory ? `${systemPrompt}\n\n${memory}` : systemPrompt };
+  const current = { role: 'user', content };
+
+  let remaining = botConfig.ai.context.tokenBudget - countTokens(system) - countTokens(current);
+  const included = [];
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const message = { role: history[i].role, content: history[i].content };
+    const tokens = countTokens(message);
+    if (tokens > remaining) break;
+
+    included.unshift(message);
+    remaining -= tokens;
+  }
+
+  // Conversations have to start with a user turn
+  while (included.length > 0 && included[0].role !== 'user') {
+    included.shift();
+  }
+
+  return [system, ...included, current];
+}
+
+module.exports = { buildChatMessages, countTokens };
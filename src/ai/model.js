@@ -1,43 +1,92 @@
-const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
 const botConfig = require('../config/botConfig');
+const { getProvider } = require('./providers');
+const { getToolDefinitions, executeToolCall } = require('./tools');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+function withTimeout(promise, timeout, label) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+// The primary model first, then the fallbacks in order
+function getModelChain() {
+  const { provider, name, fallbacks = [] } = botConfig.ai.model;
+  return [{ provider, name }, ...fallbacks];
+}
+
+// One model call, answered by the first model in the chain that succeeds.
+// Returns { content, toolCalls }
+async function chat({ messages, tools, toolChoice }) {
+  const { temperature, maxTokens, timeout } = botConfig.ai.model;
 
-const SYSTEM_PROMPT = 'Behave as a professional investment advisor. Give short and concice answers. Your name is Megan';
+  let lastError;
+  for (const { provider: providerName, name: model } of getModelChain()) {
+    const label = `${providerName}/${model}`;
+    try {
+      const provider = getProvider(providerName);
+      const response = await withTimeout(
+        provider.chat({ model, messages, temperature, maxTokens, timeout, tools, toolChoice }),
+        timeout,
+        label
+      );
 
-async function generateResponse(message) {
-  try {
-    logger.info('Starting OpenAI request with message:', JSON.stringify(message));
-    
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key is not configured');
+      if (!response.content && response.toolCalls.length === 0) {
+        throw new Error(`Empty response from ${label}`);
+      }
+
+      logger.info(`Successfully received AI response from ${label}`);
+      return response;
+    } catch (error) {
+      lastError = error;
+      logger.error(`Error in AI request to ${label}: ${error.message}`);
+      logger.error('Error details:', error.response?.data || error.message);
     }
+  }
 
-    const completion = await openai.chat.completions.create({
-      model: botConfig.ai.model.name,
-      messages: [
-        { role: "system", content: botConfig.ai.model.systemPrompt },
-        { role: "user", content: message }
-      ],
-      temperature: botConfig.ai.model.temperature,
-      max_tokens: botConfig.ai.model.maxTokens
-    });
+  throw lastError;
+}
 
-    if (!completion.choices || !completion.choices[0] || !completion.choices[0].message) {
-      logger.error('Invalid response structure from OpenAI:', JSON.stringify(completion));
-      throw new Error('Invalid response from OpenAI');
+// messages: role-tagged chat messages, see contextBuilder.buildChatMessages.
+// With a toolContext (the user, plan and usage the tools act for) the model can call the
+// registered tools; their results are fed back until it answers or maxSteps is reached.
+async function generateResponse(messages, { toolContext } = {}) {
+  const { enabled, maxSteps } = botConfig.ai.tools;
+  const tools = toolContext && enabled ? getToolDefinitions() : undefined;
+  const conversation = [...messages];
+
+  logger.info(`Starting AI request with ${messages.length} messages`);
+
+  for (let step = 1; step <= maxSteps; step++) {
+    // Tools stay defined on the last step, because the conversation already contains tool calls
+    const toolChoice = step < maxSteps ? 'auto' : 'none';
+    const response = await chat({ messages: conversation, tools, toolChoice });
+
+    if (response.toolCalls.length === 0) {
+      return response.content;
     }
+    if (step === maxSteps) break;
 
-    logger.info('Successfully received OpenAI response');
-    return completion.choices[0].message.content;
-  } catch (error) {
-    logger.error('Error in OpenAI request:', error);
-    logger.error('Error details:', error.response?.data || error.message);
-    throw error;
+    logger.info(`Model requested tools: ${response.toolCalls.map(call => call.name).join(', ')}`);
+    conversation.push({
+      role: 'assistant',
+      content: response.content || null,
+      tool_calls: response.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    });
+
+    for (const call of response.toolCalls) {
+      const result = await executeToolCall(call, toolContext);
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
   }
+
+  throw new Error(`No answer from the model after ${maxSteps} steps`);
 }
 
 module.exports = { generateResponse };
@@ -0,0 +1,119 @@
+const axios = require('axios');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+// OpenAI "image_url" parts become Anthropic image blocks, data URLs are sent as base64
+function toAnthropicPart(part) {
+  if (part.type === 'image_url') {
+    const url = part.image_url.url;
+    const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+    return dataUrl
+      ? { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } }
+      : { type: 'image', source: { type: 'url', url } };
+  }
+  return { type: 'text', text: part.text };
+}
+
+// Tool calls and results use the OpenAI message format internally
+function toAnthropicMessage(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]
+    };
+  }
+
+  if (message.tool_calls) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.tool_calls.map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: JSON.parse(call.function.arguments)
+        }))
+      ]
+    };
+  }
+
+  return {
+    role: message.role,
+    content: typeof message.content === 'string'
+      ? message.content
+      : message.content.map(toAnthropicPart)
+  };
+}
+
+function toAnthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages.filter(m => m.role !== 'system').map(toAnthropicMessage)) {
+    const previous = converted[converted.length - 1];
+    // All results of one tool step have to be in a single user message
+    if (previous && message.content[0]?.type === 'tool_result' && previous.content[0]?.type === 'tool_result') {
+      previous.content.push(...message.content);
+    } else {
+      converted.push(message);
+    }
+  }
+  return converted;
+}
+
+function toAnthropicTools(tools) {
+  return tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }));
+}
+
+function createAnthropicProvider({ name, apiKey }) {
+  if (!apiKey) {
+    throw new Error(`API key for provider "${name}" is not configured`);
+  }
+
+  return {
+    name,
+    async chat({ model, messages, temperature, maxTokens, timeout, tools, toolChoice }) {
+      const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+      const response = await axios.post(
+        API_URL,
+        {
+          model,
+          system: system || undefined,
+          messages: toAnthropicMessages(messages),
+          temperature,
+          max_tokens: maxTokens,
+          tools: tools ? toAnthropicTools(tools) : undefined,
+          tool_choice: tools ? { type: toolChoice } : undefined
+        },
+        {
+          headers: {
+            'x-api-key': apiKey,
+            'anthropic-version': API_VERSION,
+            'Content-Type': 'application/json'
+          },
+          timeout
+        }
+      );
+
+      const blocks = response.data?.content || [];
+      const text = blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
+
+      if (!text && toolCalls.length === 0) {
+        throw new Error(`Invalid response from ${name}: ${JSON.stringify(response.data)}`);
+      }
+      return { content: text, toolCalls };
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider };
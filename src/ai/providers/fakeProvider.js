@@ -0,0 +1,42 @@
+// Deterministic provider for running the whole pipeline offline in tests.
+// Replies with the last user text and the number of images it received.
+// With tools, a user text like '/tool get_subscription {}' calls that tool and the reply is its result.
+function createFakeProvider({ name }) {
+  let callCount = 0;
+
+  return {
+    name,
+    async chat({ model, messages, tools, toolChoice }) {
+      const last = messages[messages.length - 1];
+      if (last?.role === 'tool') {
+        return { content: `[${model}] ${last.content}`, toolCalls: [] };
+      }
+
+      const lastUser = [...messages].reverse().find(message => message.role === 'user');
+      const parts = !lastUser
+        ? []
+        : typeof lastUser.content === 'string'
+          ? [{ type: 'text', text: lastUser.content }]
+          : lastUser.content;
+
+      const text = parts.filter(part => part.type === 'text').map(part => part.text).join(' ');
+      const images = parts.filter(part => part.type === 'image_url').length;
+
+      const toolCall = text.match(/^\/tool (\S+)\s*(.*)$/);
+      if (toolCall && tools && toolChoice !== 'none') {
+        callCount++;
+        return {
+          content: null,
+          toolCalls: [{ id: `fake_call_${callCount}`, name: toolCall[1], arguments: JSON.parse(toolCall[2] || '{}') }]
+        };
+      }
+
+      return {
+        content: `[${model}] ${text}${images ? ` (${images} image${images > 1 ? 's' : ''})` : ''}`,
+        toolCalls: []
+      };
+    }
+  };
+}
+
+module.exports = { createFakeProvider };
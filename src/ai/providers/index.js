@@ -0,0 +1,33 @@
+const botConfig = require('../../config/botConfig');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createFakeProvider } = require('./fakeProvider');
+
+const factories = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  fake: createFakeProvider
+};
+
+const providers = new Map();
+
+// Providers are created on first use, so a missing key only fails the models that need it
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const config = botConfig.ai.providers[name];
+    if (!config) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+
+    const factory = factories[config.type];
+    if (!factory) {
+      throw new Error(`Unknown AI provider type: ${config.type}`);
+    }
+
+    providers.set(name, factory({ name, ...config }));
+  }
+  return providers.get(name);
+}
+
+module.exports = { getProvider };
@@ -0,0 +1,60 @@
+const { OpenAI } = require('openai');
+
+function toOpenAITools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+// Invalid JSON is passed on as null and reported back to the model by the tool registry
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Also used for OpenAI-compatible local servers (Ollama, llama.cpp) through a custom base URL.
+// Image parts are passed as OpenAI "image_url" parts, which these servers accept for vision models.
+function createOpenAIProvider({ name, apiKey, baseURL }) {
+  if (!apiKey) {
+    throw new Error(`API key for provider "${name}" is not configured`);
+  }
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    async chat({ model, messages, temperature, maxTokens, timeout, tools, toolChoice }) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          tools: tools ? toOpenAITools(tools) : undefined,
+          tool_choice: tools ? toolChoice : undefined
+        },
+        { timeout }
+      );
+
+      if (!completion.choices || !completion.choices[0] || !completion.choices[0].message) {
+        throw new Error(`Invalid response from ${name}: ${JSON.stringify(completion)}`);
+      }
+
+      const message = completion.choices[0].message;
+      return {
+        content: message.content,
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        }))
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
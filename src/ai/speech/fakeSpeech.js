@@ -0,0 +1,11 @@
+// Offline provider for tests: an OGG page header followed by the text, not playable audio
+function createFakeSpeech({ name }) {
+  return {
+    name,
+    async synthesize(text) {
+      return { buffer: Buffer.concat([Buffer.from('OggS'), Buffer.from(text)]), format: 'opus' };
+    }
+  };
+}
+
+module.exports = { createFakeSpeech };
@@ -0,0 +1,31 @@
+const botConfig = require('../../config/botConfig');
+const { createOpenAISpeech } = require('./openaiSpeech');
+const { createFakeSpeech } = require('./fakeSpeech');
+
+const factories = {
+  openai: createOpenAISpeech,
+  'openai-compatible': createOpenAISpeech,
+  fake: createFakeSpeech
+};
+
+const providers = new Map();
+
+// Text-to-speech providers for voice replies, created on first use like the chat providers
+function getSpeechProvider(name) {
+  if (!providers.has(name)) {
+    const config = botConfig.voice.providers[name];
+    if (!config) {
+      throw new Error(`Unknown speech provider: ${name}`);
+    }
+
+    const factory = factories[config.type];
+    if (!factory) {
+      throw new Error(`Unknown speech provider type: ${config.type}`);
+    }
+
+    providers.set(name, factory({ name, ...config }));
+  }
+  return providers.get(name);
+}
+
+module.exports = { getSpeechProvider };
@@ -0,0 +1,21 @@
+const { OpenAI } = require('openai');
+
+// Also used for OpenAI-compatible speech servers (Kokoro-FastAPI, openedai-speech) through a custom base URL
+function createOpenAISpeech({ name, apiKey, baseURL, model, voice, format }) {
+  if (!apiKey) {
+    throw new Error(`API key for speech provider "${name}" is not configured`);
+  }
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    // Returns { buffer, format }, "opus" is already an OGG/Opus file
+    async synthesize(text) {
+      const response = await client.audio.speech.create({ model, voice, input: text, response_format: format });
+      return { buffer: Buffer.from(await response.arrayBuffer()), format };
+    }
+  };
+}
+
+module.exports = { createOpenAISpeech };
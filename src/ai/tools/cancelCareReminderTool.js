@@ -0,0 +1,21 @@
+const reminderService = require('../../services/reminderService');
+
+module.exports = {
+  name: 'cancel_care_reminder',
+  description: 'Cancels one of the user\'s upcoming care reminders. Look up the id with list_care_reminders first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reminder_id: { type: 'integer', description: 'Id of the reminder' }
+    },
+    required: ['reminder_id'],
+    additionalProperties: false
+  },
+  async handler({ reminder_id: reminderId }, { userId }) {
+    const cancelled = await reminderService.cancelReminder(userId, reminderId);
+    if (!cancelled) {
+      throw new Error(`No upcoming reminder with id ${reminderId}`);
+    }
+    return { cancelled: reminderService.formatReminder(cancelled) };
+  }
+};
@@ -0,0 +1,44 @@
+const reminderService = require('../../services/reminderService');
+const { formatInTimeZone } = require('../../utils/timezone');
+const botConfig = require('../../config/botConfig');
+
+module.exports = {
+  name: 'create_care_reminder',
+  // The model has no clock, so the current time is part of the description
+  get description() {
+    return `Creates a reminder that is sent to the user on WhatsApp, e.g. to water or repot a plant, optionally repeating. Current time (UTC): ${new Date().toISOString()}`;
+  },
+  parameters: {
+    type: 'object',
+    properties: {
+      plant: { type: 'string', description: 'Name of the plant, e.g. "Monstera"' },
+      task: { type: 'string', description: 'What to do, e.g. "Water with 500 ml"' },
+      remind_at: { type: 'string', description: "ISO 8601 date and time of the first reminder with the user's UTC offset, e.g. \"2024-05-01T09:00:00+02:00\"" },
+      repeat_every: { type: 'integer', minimum: 1, description: 'Repeat every this many units, leave out for a one-off reminder' },
+      repeat_unit: { type: 'string', enum: ['day', 'week', 'month'] }
+    },
+    required: ['task', 'remind_at'],
+    additionalProperties: false
+  },
+  async handler({ plant, task, remind_at: remindAt, repeat_every: repeatEvery, repeat_unit: repeatUnit }, { user }) {
+    const date = new Date(remindAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${remindAt}`);
+    }
+
+    const reminder = await reminderService.createReminder(user, {
+      plant: plant || null,
+      task,
+      remindAt: date,
+      repeat: repeatUnit ? { interval: repeatEvery || 1, unit: repeatUnit } : null
+    });
+
+    return {
+      reminder_id: reminder.id,
+      remind_at: formatInTimeZone(new Date(reminder.remind_at), reminder.timezone),
+      timezone: reminder.timezone,
+      repeats: reminder.repeat_unit ? `every ${reminder.repeat_interval} ${reminder.repeat_unit}(s)` : 'no',
+      manage: `The user can list reminders with ${botConfig.reminders.commands.list} and cancel them with ${botConfig.reminders.commands.cancel} <id>`
+    };
+  }
+};
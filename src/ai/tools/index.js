@@ -0,0 +1,43 @@
+const logger = require('../../utils/logger');
+const subscriptionTool = require('./subscriptionTool');
+const careReminderTool = require('./careReminderTool');
+const listCareRemindersTool = require('./listCareRemindersTool');
+const cancelCareReminderTool = require('./cancelCareReminderTool');
+const pastDiagnosesTool = require('./pastDiagnosesTool');
+
+// Each tool: name, description, JSON schema of its arguments and a handler(args, context)
+const tools = [
+  subscriptionTool,
+  careReminderTool,
+  listCareRemindersTool,
+  cancelCareReminderTool,
+  pastDiagnosesTool
+];
+const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+// Provider-neutral definitions, the providers convert them to their own format
+function getToolDefinitions() {
+  return tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+// Errors go back to the model as the tool result, so it can still answer the user
+async function executeToolCall(call, context) {
+  try {
+    const tool = toolsByName.get(call.name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${call.name}`);
+    }
+    if (!call.arguments || typeof call.arguments !== 'object') {
+      throw new Error('Tool arguments have to be a JSON object');
+    }
+
+    const result = await tool.handler(call.arguments, context);
+    logger.info(`Tool ${call.name} called for ${context.userId}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error in tool ${call.name}: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+module.exports = { getToolDefinitions, executeToolCall };
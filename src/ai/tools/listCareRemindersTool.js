@@ -0,0 +1,15 @@
+const reminderService = require('../../services/reminderService');
+
+module.exports = {
+  name: 'list_care_reminders',
+  description: "Lists the user's upcoming care reminders with their ids, times and repeats.",
+  parameters: {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+  },
+  async handler(args, { userId }) {
+    const reminders = await reminderService.listReminders(userId);
+    return { reminders: reminders.map(reminderService.formatReminder) };
+  }
+};
@@ -0,0 +1,36 @@
+const databaseService = require('../../services/databaseService');
+const botConfig = require('../../config/botConfig');
+
+// Recent messages searched for image turns
+const MESSAGES_SCANNED = 200;
+
+// Image turns are stored as "Image sent by user" or "Image with caption: ..."
+const IMAGE_MESSAGE = /^Image (sent by user|with caption)/m;
+
+module.exports = {
+  name: 'get_past_diagnoses',
+  description: "Fetches the user's earlier plant photo analyses, newest first. Use it when the user refers to a previous diagnosis or asks how a plant developed.",
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of diagnoses to return' }
+    },
+    additionalProperties: false
+  },
+  async handler({ limit }, { userId }) {
+    const count = Math.min(Math.max(limit || botConfig.ai.tools.diagnosesLimit, 1), 10);
+    const messages = (await databaseService.getMessages(userId, { limit: MESSAGES_SCANNED })).reverse();
+
+    // A diagnosis is the first assistant reply after an image message
+    const diagnoses = [];
+    messages.forEach((message, index) => {
+      if (message.role !== 'user' || !IMAGE_MESSAGE.test(message.content)) return;
+      const reply = messages.slice(index + 1).find(next => next.role === 'assistant');
+      if (reply) {
+        diagnoses.push({ date: message.created_at, request: message.content, diagnosis: reply.content });
+      }
+    });
+
+    return { diagnoses: diagnoses.reverse().slice(0, count) };
+  }
+};
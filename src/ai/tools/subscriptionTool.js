@@ -0,0 +1,24 @@
+const { getPeriodEnd } = require('../../services/planService');
+
+module.exports = {
+  name: 'get_subscription',
+  description: "Looks up the user's plan, subscription status and how many plant scans they have left. Use it for any question about their account, scans or billing.",
+  parameters: {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+  },
+  // usage is the quota check of the current message, so it already includes it
+  async handler(args, { user, plan, usage }) {
+    const periodEnd = getPeriodEnd(plan.window);
+    return {
+      plan: plan.name,
+      scans_used: usage.used,
+      scans_included: plan.quota === null ? 'unlimited' : plan.quota,
+      scans_remaining: plan.quota === null ? 'unlimited' : Math.max(plan.quota - usage.used, 0),
+      scans_renew_at: periodEnd ? periodEnd.toISOString() : 'never',
+      subscription_status: user.subscription_status || 'none',
+      subscription_period_end: user.subscription_period_end || null
+    };
+  }
+};
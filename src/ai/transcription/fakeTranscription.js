@@ -0,0 +1,11 @@
+// Offline provider for tests, describes the audio instead of transcribing it
+function createFakeTranscription({ name }) {
+  return {
+    name,
+    async transcribe(buffer, { filename, language }) {
+      return `[voice note ${filename}, ${buffer.length} bytes${language ? `, ${language}` : ''}]`;
+    }
+  };
+}
+
+module.exports = { createFakeTranscription };
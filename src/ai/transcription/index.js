@@ -0,0 +1,31 @@
+const botConfig = require('../../config/botConfig');
+const { createOpenAITranscription } = require('./openaiTranscription');
+const { createFakeTranscription } = require('./fakeTranscription');
+
+const factories = {
+  openai: createOpenAITranscription,
+  'openai-compatible': createOpenAITranscription,
+  fake: createFakeTranscription
+};
+
+const providers = new Map();
+
+// Speech-to-text providers for voice messages, created on first use like the chat providers
+function getTranscriptionProvider(name) {
+  if (!providers.has(name)) {
+    const config = botConfig.ai.transcription.providers[name];
+    if (!config) {
+      throw new Error(`Unknown transcription provider: ${name}`);
+    }
+
+    const factory = factories[config.type];
+    if (!factory) {
+      throw new Error(`Unknown transcription provider type: ${config.type}`);
+    }
+
+    providers.set(name, factory({ name, ...config }));
+  }
+  return providers.get(name);
+}
+
+module.exports = { getTranscriptionProvider };
@@ -0,0 +1,25 @@
+const { OpenAI, toFile } = require('openai');
+
+// Also used for Whisper-compatible local servers (faster-whisper-server, whisper.cpp) through a custom base URL
+function createOpenAITranscription({ name, apiKey, baseURL, model }) {
+  if (!apiKey) {
+    throw new Error(`API key for transcription provider "${name}" is not configured`);
+  }
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    // The audio is uploaded from memory, the filename tells the API its format
+    async transcribe(buffer, { filename, mimeType, language }) {
+      const transcription = await client.audio.transcriptions.create({
+        file: await toFile(buffer, filename, { type: mimeType }),
+        model,
+        language: language || undefined
+      });
+      return transcription.text;
+    }
+  };
+}
+
+module.exports = { createOpenAITranscription };
@@ -1,3 +1,6 @@
+// Comma-separated regions or calling codes, ALLOWED_COUNTRY_CODES switches to allowlist mode
+const countryCodes = process.env.ALLOWED_COUNTRY_CODES || process.env.BLOCKED_COUNTRY_CODES;
+
 const botConfig = {
   /*=============================
     AI MODEL CONFIGURATION
@@ -5,11 +8,45 @@ const botConfig = {
   ai: {
     // Core model settings
     model: {
-      name: "gpt-4o-mini",          // OpenAI model to use
+      provider: process.env.AI_PROVIDER || "openai",  // One of the providers below
+      name: "gpt-4o-mini",          // Model to use with that provider
       temperature: 0.2,             // Lower = more focused, Higher = more creative
       maxTokens: 2000,              // Maximum length of response
+      timeout: 60 * 1000,           // milliseconds before a model call counts as failed
       systemPrompt: `Your name is Megan. You're a professional plant doctor. When a user sends a image of a plant you are going to check for any health issues of the plant. Also give a short description of what plant you see. Write down your answers short and friendly and use emojis.`,
-      audioTranscriptionModel: "whisper-1"  // Model for voice messages
+      // Tried in order when the model above fails or times out
+      fallbacks: [
+        // { provider: "anthropic", name: "claude-3-5-haiku-latest" },
+        // { provider: "local", name: "llava" }
+      ]
+    },
+
+    // AI providers, all of them support image messages (for local servers: use a vision model)
+    providers: {
+      openai: { type: "openai", apiKey: process.env.OPENAI_API_KEY },
+      anthropic: { type: "anthropic", apiKey: process.env.ANTHROPIC_API_KEY },
+      local: {                      // Any OpenAI-compatible server, e.g. Ollama or llama.cpp
+        type: "openai-compatible",
+        baseURL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+        apiKey: process.env.LOCAL_LLM_API_KEY || "local"
+      },
+      fake: { type: "fake" }        // Deterministic replies for offline tests
+    },
+
+    // Speech-to-text for voice messages, their size and duration limits are in whatsapp.messageTypes.audio
+    transcription: {
+      provider: process.env.TRANSCRIPTION_PROVIDER || "openai",
+      languageHint: true,           // Pass the user's language to the provider, unknown languages are detected
+      providers: {
+        openai: { type: "openai", apiKey: process.env.OPENAI_API_KEY, model: "whisper-1" },
+        local: {                    // Any Whisper-compatible server, e.g. faster-whisper-server
+          type: "openai-compatible",
+          baseURL: process.env.LOCAL_WHISPER_BASE_URL || "http://localhost:8000/v1",
+          apiKey: process.env.LOCAL_WHISPER_API_KEY || "local",
+          model: "Systran/faster-whisper-small"
+        },
+        fake: { type: "fake" }      // Describes the audio instead of transcribing it, for offline tests
+      }
     },
 
     // Message prompts and templates
@@ -26,11 +63,67 @@ const botConfig = {
       // Audio-related messages
       audio: {
         transcriptionError: 
-          "Sorry, I had trouble understanding your voice message. Could you please try sending it again or type your message?"
-      }
+          "Sorry, I had trouble understanding your voice message. Could you please try sending it again or type your message?",
+        tooLong: (minutes) =>
+          `Sorry, that voice message is too long for me, I can listen to up to ${minutes} minutes. Could you send a shorter one or type your message? 🙏`
+      },
+
+      // Other message types, a caption is sent along as the user's own words
+      document: {
+        text: (filename, text) => `Here is the text of the document "${filename}" the user sent:\n\n${text}`,
+        image: (filename) => `Please analyze this image from the document "${filename}" in {context}.`,
+        unreadable: (filename, reason) =>
+          `The user sent the document "${filename}", but it couldn't be read (${reason}). Tell them and ask for a photo or the text instead.`
+      },
+      video: {
+        frames: (count, seconds) => `These are ${count} frames of a ${seconds}-second video the user sent. Please analyze it in {context}.`,
+        unreadable: (reason) =>
+          `The user sent a video that couldn't be analyzed (${reason}). Tell them and ask for a shorter clip or a few photos.`
+      },
+      sticker: "The user sent this sticker. React to it briefly and in a friendly way.",
+      animatedSticker: "The user sent an animated sticker. React to it briefly and in a friendly way.",
+      location: (place) =>
+        `The user shared their location: ${place}. Take the climate and the current season there into account in your advice.`,
+      contacts: (contacts) => `The user shared contact details: ${contacts}`,
+      reaction: (emoji, text) => `The user reacted with ${emoji} to your message: "${text}"`
+    },
+
+    // Conversation history sent with every message, trimmed to a token budget
+    context: {
+      tokenBudget: 4000,          // Tokens for system prompt, history and the new message together
+      maxHistoryMessages: 50,     // Messages loaded from the database before trimming
+      encoding: "o200k_base",     // Tokenizer of the model (o200k_base for gpt-4o, cl100k_base for gpt-4)
+      imageTokens: 765,           // Estimated tokens per image
+      messageOverhead: 4,         // Tokens each chat message adds on top of its content
+      historyImages: 2            // Stored images of earlier turns sent again with the history (newest first, 0 for none)
+    },
+
+    // Functions the model can call to answer account questions or act for the user
+    tools: {
+      enabled: true,
+      maxSteps: 5,                // Model calls per reply, the last one has to answer without tools
+      diagnosesLimit: 5           // Past diagnoses returned when the model doesn't ask for a number
     },
 
-    contextMessageLimit: 10  // Number of previous messages to maintain context
+    // Long-term memory: older turns are condensed into a per-user summary
+    memory: {
+      enabled: true,
+      summarizeThreshold: 30,     // Unsummarized messages before the summarizer runs
+      keepRecent: 10,             // Newest messages that stay as regular history
+      commands: {
+        view: "/memory",          // Shows the user what the bot remembers
+        clear: "/forget"          // Clears the memory and the conversation so far
+      },
+      summaryPrompt: `You maintain the long-term memory of a plant doctor assistant about one user.
+Merge the existing memory with the new conversation and reply with JSON only, in this shape:
+{"summary": "short summary of the relationship so far", "plants": [{"name": "", "notes": ""}], "location": "", "climate": "", "ongoing_issues": [""], "other_facts": [""]}
+Keep facts that are still relevant, drop resolved issues, never invent anything.`,
+      messages: {
+        header: "What I remember about you 🌱",
+        empty: "I don't remember anything about you yet. 🌱",
+        cleared: "Done, I've forgotten everything about our previous conversations. 🌱"
+      }
+    }
   },
 
   /*=============================
@@ -39,11 +132,31 @@ const botConfig = {
   subscription: {
     messages: {
       expired: 
-        "You're out of plant scans. Upgrade for unlimited daily analysis!🌱 https://plantvisionai.com/subscribe"
+        "You're out of plant scans. Upgrade for unlimited daily analysis!🌱",
+      upgradeButton: "Upgrade now",  // Label of the checkout link button (max 20 characters)
+      quotaReached: 
+        "You've used all plant scans of your plan for now. Your scans renew with the next period! 🌱"
     },
-    limits: {
-      freeMessages: 10  // Messages allowed before requiring subscription
-    }
+    checkout: {
+      priceId: process.env.STRIPE_PRICE_ID,                 // CHANGE THIS: Stripe price of the subscription
+      successUrl: "https://plantvisionai.com/success",      // Page shown after a successful payment
+      cancelUrl: "https://plantvisionai.com/subscribe",     // Page shown when the checkout is cancelled
+      fallbackUrl: "https://plantvisionai.com/subscribe",   // Sent when no checkout session could be created
+      expiresAfter: 60 * 60,                                // Seconds a checkout link stays valid (min 30 minutes)
+      locale: "auto"                                        // Language of the Stripe checkout page, set per locale below
+    },
+    // Quota per plan: messages allowed per window ("daily", "monthly" or "lifetime"), null = unlimited.
+    // Users get a plan from their Stripe price, or one assigned in the users.plan column (e.g. "unlimited" for testers)
+    plans: {
+      free: { quota: 10, window: "lifetime" },
+      trial: { quota: 20, window: "daily" },
+      basic: { quota: 100, window: "monthly", stripePriceIds: [] },   // CHANGE THIS: Stripe prices of this tier
+      pro: { quota: null, window: "monthly", stripePriceIds: [] },
+      unlimited: { quota: null, window: "lifetime" },
+      restricted: { quota: 3, window: "daily" }    // For blocked countries in soft mode (access.countries.softPlan)
+    },
+    defaultPlan: "free",        // Plan of users without a subscription
+    defaultPaidPlan: "pro"      // Plan of subscribers whose Stripe price is not listed above
   },
 
   /*=============================
@@ -53,37 +166,275 @@ const botConfig = {
     general: 
       "I apologize, but I'm having trouble processing your message right now. Please try again in a moment. 🙏",
     unsupportedType: 
-      "I'm sorry, I can only process text, audio, and image messages at the moment. 🙏"
+      "I'm sorry, I can't process this kind of message at the moment. 🙏"
   },
 
   /*=============================
     ACCESS CONTROL
   ==============================*/
   access: {
-    blockedCountries: {
-      codes: ["91", "92", "880"],  // CHANGE THIS: Array of country codes to block
+    // Countries are resolved from the full international number, e.g. +1 876 is Jamaica and not the US
+    countries: {
+      mode: process.env.ALLOWED_COUNTRY_CODES ? "allow" : "deny",  // "deny" blocks the listed countries, "allow" serves only them
+      list: countryCodes
+        ? countryCodes.split(',').map(code => code.trim())
+        : ["IN", "PK", "BD"],   // CHANGE THIS: regions ("IN") or calling codes ("91", all regions sharing it)
+      softPlan: null,           // Serve blocked countries on this plan instead of refusing them (soft mode), e.g. "restricted"
+      blockUnknown: false,      // Block numbers that can't be parsed
       message: 
         "Hi there, we are sorry but this service is not available in your country."
     }
   },
 
+  /*=============================
+    LANGUAGES
+  ==============================*/
+  // The messages in this file are English, the catalogs in src/config/locales translate them.
+  // The AI itself answers in the language the user writes in.
+  localization: {
+    defaultLocale: "en",        // For users whose language is unknown or has no catalog
+    detectionMessages: 3,       // First text messages of a user the language is detected from
+    minDetectionScore: 2,       // Common words of a language a message needs before it counts
+    command: "/language",       // /language shows the options, /language de sets one, /language auto detects again
+    locales: {
+      en: require('./locales/en'),
+      de: require('./locales/de'),
+      es: require('./locales/es'),
+      fr: require('./locales/fr'),
+      pt: require('./locales/pt')
+    },
+    messages: {
+      current: (name, options) => `I'm writing to you in ${name}. Send /language with one of these to change it: ${options}. With /language auto I detect it from your messages again.`,
+      changed: (name) => `Done, I'll write to you in ${name} from now on. 🌱`,
+      auto: "Done, I'll detect the language from your messages again. 🌱",
+      unknown: (options) => `I don't know that language. Choose one of: ${options}.`
+    }
+  },
+
+  /*=============================
+    VOICE REPLIES
+  ==============================*/
+  // Answers can be sent as voice notes, spoken by a text-to-speech provider
+  voice: {
+    mode: "off",                // For users who didn't choose: "off", "mirror" (voice notes are answered with one) or "always"
+    provider: process.env.TTS_PROVIDER || "openai",
+    providers: {
+      openai: { type: "openai", apiKey: process.env.OPENAI_API_KEY, model: "gpt-4o-mini-tts", voice: "nova", format: "opus" },
+      local: {                  // Any OpenAI-compatible speech server, e.g. Kokoro-FastAPI
+        type: "openai-compatible",
+        baseURL: process.env.LOCAL_TTS_BASE_URL || "http://localhost:8880/v1",
+        apiKey: process.env.LOCAL_TTS_API_KEY || "local",
+        model: "kokoro",
+        voice: "af_heart",
+        format: "wav"           // Formats other than opus are converted to OGG/Opus with ffmpeg
+      },
+      fake: { type: "fake" }    // Placeholder audio for offline tests, not playable
+    },
+    maxLength: 1000,            // Characters, longer answers are sent as text
+    command: "/voice",          // /voice shows the mode, /voice on, /voice off and /voice auto (mirror) change it
+    textCommand: "/text",       // Sends the text of the last voice reply, or of the voice reply it quotes
+    messages: {
+      modes: { off: "in text", mirror: "with a voice note when you send one", always: "with voice notes" },
+      current: (mode) => `I'm answering you ${mode}. Send /voice on, /voice off or /voice auto (voice notes only for your voice notes) to change it. /text shows my last voice note as text.`,
+      changed: (mode) => `Done, from now on I'm answering you ${mode}. 🎙️`,
+      noVoiceReply: "I haven't sent you a voice note yet."
+    }
+  },
+
+  /*=============================
+    HELP AND BUTTONS
+  ==============================*/
+  // Tapped buttons and help topics are answered directly and don't use up quota
+  help: {
+    command: "/help",           // Shows the help topics as a list message
+    followUpButtons: true,      // Buttons under answers to photos: scan another plant, and subscribe on unpaid plans
+    messages: {
+      menu: "How can I help you? Pick a topic. 🌱",
+      menuButton: "Topics",       // Label of the list button (max 20 characters)
+      // Rows of the list: title max 24 characters, description max 72
+      topics: {
+        scan: {
+          title: "Plant scans",
+          description: "How to get a diagnosis",
+          text: "Send me a clear photo of your plant, with the affected leaves up close if you can. Add your question as a caption, or send a voice message or a short video. 📸"
+        },
+        plans: {
+          title: "Plans",
+          description: "Scans and subscriptions",
+          text: "Every photo or question uses a scan of your plan. Subscribe for unlimited daily analysis! 🌱"
+        },
+        location: {
+          title: "Local advice",
+          description: "Tips for your climate and season",
+          text: "Share your location and I'll take the climate and season there into account. 📍"
+        },
+        commands: {
+          title: "Commands",
+          description: "Language, voice replies, reminders, memory",
+          text: "/language: change my language\n/voice: voice replies on or off\n/remind: set a care reminder\n/reminders: your reminders\n/memory: what I remember about you\n/forget: clear my memory"
+        }
+      },
+      followUp: "Want me to look at another plant? 🌿",
+      scanAnother: "Send me a photo of the next plant. 📸",
+      subscribe: "Subscribe for unlimited daily analysis, the button opens the secure checkout. 🌱",
+      // Reply buttons, max 20 characters each
+      buttons: {
+        scanAnother: "Scan another plant",
+        subscribe: "Subscribe",
+        help: "Help"
+      }
+    }
+  },
+
+  /*=============================
+    TENANTS
+  ==============================*/
+  // Every WhatsApp number is a tenant with its own users, conversations and settings.
+  // "overrides" replace the settings of this file for one tenant, e.g. ai.model.systemPrompt,
+  // ai.prompts, subscription (messages, checkout.priceId, plans), access.countries and
+  // localization.defaultLocale.
+  tenants: {
+    default: {
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      overrides: {}
+    }
+    // houseplants: {
+    //   phoneNumberId: process.env.HOUSEPLANTS_PHONE_NUMBER_ID,
+    //   accessToken: process.env.HOUSEPLANTS_ACCESS_TOKEN,
+    //   appSecret: process.env.HOUSEPLANTS_APP_SECRET,   // Only when the number belongs to another Meta app
+    //   overrides: {
+    //     ai: { model: { systemPrompt: "Your name is Ivy, a houseplant expert..." } },
+    //     subscription: { checkout: { priceId: process.env.HOUSEPLANTS_STRIPE_PRICE_ID } },
+    //     access: { countries: { mode: "allow", list: ["US", "CA"] } }
+    //   }
+    // }
+  },
+
   /*=============================
     WHATSAPP SETTINGS
   ==============================*/
   whatsapp: {
-    supportedTypes: ["text", "audio", "image"],
-    messageExpiry: 5 * 60 * 1000,  // 5 minutes in milliseconds
-    rateLimit: {
-      window: 1000,    // 1 second
-      threshold: 50    // Max requests per window before queuing
+    // Incoming message types: enabled, and the scans one message of the type costs from the quota.
+    // A burst of messages answered together costs its most expensive message.
+    messageTypes: {
+      text: { enabled: true, cost: 1 },
+      audio: {
+        enabled: true,
+        cost: 1,
+        maxSize: 16 * 1024 * 1024,   // Bytes, WhatsApp's own limit for audio
+        maxDuration: 300             // Seconds, longer voice messages get the tooLong reply
+      },
+      image: { enabled: true, cost: 1 },
+      interactive: { enabled: true, cost: 1 },  // Button and list replies
+      button: { enabled: true, cost: 1 },       // Template quick replies
+      document: {
+        enabled: true,
+        cost: 2,
+        maxSize: 10 * 1024 * 1024,   // Bytes, larger documents aren't downloaded
+        maxTextLength: 12000,        // Characters of extracted text sent to the AI
+        mimeTypes: ["application/pdf", "text/plain", "text/csv", "image/jpeg", "image/png", "image/webp"]
+      },
+      video: {
+        enabled: true,
+        cost: 3,
+        maxSize: 16 * 1024 * 1024,
+        maxDuration: 60,             // Seconds, longer videos aren't analyzed
+        frames: 4,                   // Frames sampled evenly across the video (needs ffmpeg)
+        frameWidth: 768
+      },
+      sticker: { enabled: true, cost: 1 },
+      location: { enabled: true, cost: 1 },    // Used for climate-aware advice
+      contacts: { enabled: true, cost: 1 },
+      reaction: { enabled: true, cost: 0, answer: false }  // Without answer, reactions are only kept in the history
     },
+    processedMessageTtl: 7 * 24 * 60 * 60 * 1000,  // Remember handled message IDs for 7 days (Meta retries)
+    processedMessageCleanupInterval: 60 * 60 * 1000,  // Purge expired message IDs every hour
     endpoints: {
       mediaUrl: "https://graph.facebook.com/v20.0"
     },
+    formatting: {
+      convertMarkdown: true,      // Turn **bold**, headings, links and tables into WhatsApp formatting
+      maxMessageLength: 4096      // WhatsApp text limit, longer replies are sent in several parts
+    },
     retryAttempts: 3,
     retryDelay: 1000  // milliseconds between retries
   },
 
+  /*=============================
+    QUEUE SETTINGS
+  ==============================*/
+  queue: {
+    concurrency: 5,           // Messages processed in parallel per server instance
+    pollInterval: 1000,       // milliseconds between checks for new jobs
+    maxAttempts: 3,           // Attempts before a job is moved to the dead-letter state
+    backoff: {
+      base: 2000,             // Delay before the first retry, doubled for each next one
+      max: 60 * 1000          // Upper bound for the retry delay
+    },
+    lockTimeout: 5 * 60 * 1000, // Jobs stuck in processing this long are picked up again
+    debounce: {
+      window: 3000,           // Messages from one user within this window are answered together (0 = off)
+      maxWait: 10000          // A burst is never held back longer than this
+    }
+  },
+
+  /*=============================
+    CAMPAIGN SETTINGS
+  ==============================*/
+  campaigns: {
+    pollInterval: 60 * 1000,    // milliseconds between checks for scheduled campaigns
+    messagesPerMinute: 60,      // Default send rate, can be set per campaign
+    batchSize: 100,             // Recipients loaded per batch
+    lockTimeout: 10 * 60 * 1000, // milliseconds before a running campaign without progress is resumed elsewhere
+    inactiveDays: 14,           // Default for the "inactive_subscribers" audience
+    optOutKeywords: ["stop", "unsubscribe"],
+    optInKeywords: ["start"],
+    messages: {
+      optedOut: 
+        "You won't receive any more updates from us. Send START to opt back in.",
+      optedIn: 
+        "Welcome back! You'll receive our updates again. 🌱"
+    }
+  },
+
+  /*=============================
+    REMINDER SETTINGS
+  ==============================*/
+  reminders: {
+    pollInterval: 60 * 1000,    // milliseconds between checks for due reminders
+    batchSize: 50,              // Due reminders sent per check
+    defaultTimezone: "UTC",     // Until the user sets one with the timezone command
+    defaultTime: "09:00",       // Time of day for reminders given only a date
+    defaultSnoozeMinutes: 60,
+    dateLocale: "en-GB",        // Date format of reminder times, set per locale
+    conversationWindow: 24 * 60 * 60 * 1000,  // Free-form messages are only allowed this long after the user's last message
+    template: {                 // CHANGE THIS: approved template sent outside that window, with the task as {{1}}
+      name: "care_reminder",
+      languageCode: "en_US"     // Translations in Meta are picked per locale (reminders.template in the catalogs)
+    },
+    commands: {
+      create: "/remind",        // /remind in 3 days water the fern, /remind every week at 09:00 fertilise
+      list: "/reminders",
+      snooze: "/snooze",        // /snooze [id] [30m|2h|1d], without an id the last sent reminder
+      cancel: "/cancel",        // /cancel <id>
+      timezone: "/timezone"     // /timezone Europe/Berlin
+    },
+    messages: {
+      reminder: (task) => `⏰ Reminder: ${task}\n\nReply /snooze to be reminded again later.`,
+      created: (when) => `Got it! I'll remind you ${when}. 🌱`,
+      repeats: (interval, unit) => interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`,
+      usage: "Tell me when and what, for example:\n/remind in 3 days water the fern\n/remind tomorrow at 18:00 check the basil\n/remind every week at 09:00 fertilise the monstera",
+      listHeader: "Your reminders ⏰",
+      noReminders: "You don't have any reminders. Send /remind to create one.",
+      notFound: "I couldn't find that reminder. Send /reminders to see them all.",
+      snoozed: (when) => `Snoozed, I'll remind you again ${when}. ⏰`,
+      cancelled: "The reminder is cancelled.",
+      timezoneSet: (timezone) => `Your timezone is now ${timezone}.`,
+      invalidTimezone: "I don't know that timezone. Use a name like Europe/Berlin or America/New_York."
+    }
+  },
+
   /*=============================
     DATABASE SETTINGS
   ==============================*/
@@ -98,8 +449,23 @@ const botConfig = {
   ==============================*/
   files: {
     tempDir: 'temp',
-    audioFormat: 'ogg',
+    audioFormat: 'ogg',  // Extension for voice messages of an unknown type
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',  // Used for video frames, voice reply conversion and audio lengths
     cleanupDelay: 1000  // milliseconds
+  },
+
+  /*=============================
+    MEDIA STORAGE
+  ==============================*/
+  // Photos, stickers, documents and videos users send are kept, so later turns and admins can see them again
+  storage: {
+    enabled: true,
+    driver: process.env.MEDIA_STORAGE || "local",  // "local" or "supabase", files remember the driver they were saved with
+    maxSize: 16 * 1024 * 1024,                      // Bytes, larger files are still answered but not kept
+    drivers: {
+      local: { directory: process.env.MEDIA_STORAGE_DIR || "media" },            // Relative to the working directory
+      supabase: { bucket: process.env.MEDIA_STORAGE_BUCKET || "user-media" }     // Private Supabase Storage bucket
+    }
   }
 };
 
@@ -0,0 +1,122 @@
+// German system messages, the sections mirror botConfig.js
+module.exports = {
+  name: "Deutsch",
+  words: [
+    "der", "die", "und", "ist", "ich", "mein", "meine", "meiner", "nicht", "mit", "hat", "haben",
+    "wie", "warum", "bitte", "danke", "hallo", "pflanze", "blätter", "gelbe", "gießen", "wasser",
+    "sie", "ein", "eine", "kann", "soll", "auch", "noch", "aber", "wenn", "auf", "für", "zu",
+    "von", "dem", "den", "hilfe"
+  ],
+  messages: {
+    ai: {
+      prompts: {
+        audio: {
+          transcriptionError:
+            "Entschuldigung, ich konnte deine Sprachnachricht nicht verstehen. Kannst du sie noch einmal senden oder deine Nachricht schreiben?",
+          tooLong: (minutes) =>
+            `Entschuldigung, diese Sprachnachricht ist mir zu lang, ich kann mir bis zu ${minutes} Minuten anhören. Kannst du eine kürzere senden oder deine Nachricht schreiben? 🙏`
+        }
+      },
+      memory: {
+        messages: {
+          header: "Das weiß ich über dich 🌱",
+          empty: "Ich weiß noch nichts über dich. 🌱",
+          cleared: "Erledigt, ich habe alles aus unseren bisherigen Gesprächen vergessen. 🌱"
+        }
+      }
+    },
+    subscription: {
+      messages: {
+        expired: "Deine Pflanzen-Scans sind aufgebraucht. Upgrade für unbegrenzte tägliche Analysen!🌱",
+        upgradeButton: "Jetzt upgraden",
+        quotaReached: "Du hast alle Pflanzen-Scans deines Tarifs verbraucht. Mit dem nächsten Zeitraum gibt es neue! 🌱"
+      },
+      checkout: { locale: "de" }
+    },
+    errors: {
+      general: "Entschuldigung, ich kann deine Nachricht gerade nicht verarbeiten. Bitte versuche es gleich noch einmal. 🙏",
+      unsupportedType: "Entschuldigung, diese Art von Nachricht kann ich im Moment nicht verarbeiten. 🙏"
+    },
+    access: {
+      countries: {
+        message: "Hallo, leider ist dieser Dienst in deinem Land nicht verfügbar."
+      }
+    },
+    campaigns: {
+      optOutKeywords: ["stop", "stopp", "abmelden"],
+      optInKeywords: ["start"],
+      messages: {
+        optedOut: "Du bekommst keine Neuigkeiten mehr von uns. Sende START, um sie wieder zu erhalten.",
+        optedIn: "Willkommen zurück! Du bekommst unsere Neuigkeiten wieder. 🌱"
+      }
+    },
+    reminders: {
+      dateLocale: "de-DE",
+      template: { languageCode: "de" },  // Language of the approved reminder template
+      messages: {
+        reminder: (task) => `⏰ Erinnerung: ${task}\n\nAntworte mit /snooze, um später noch einmal erinnert zu werden.`,
+        created: (when) => `Alles klar! Ich erinnere dich am ${when}. 🌱`,
+        repeats: (interval, unit) => {
+          const units = { day: ["täglich", "Tage"], week: ["wöchentlich", "Wochen"], month: ["monatlich", "Monate"] }[unit];
+          return interval === 1 ? units[0] : `alle ${interval} ${units[1]}`;
+        },
+        usage: "Sag mir wann und woran, zum Beispiel:\n/remind in 3 days water the fern\n/remind tomorrow at 18:00 check the basil\n/remind every week at 09:00 fertilise the monstera",
+        listHeader: "Deine Erinnerungen ⏰",
+        noReminders: "Du hast keine Erinnerungen. Sende /remind, um eine anzulegen.",
+        notFound: "Diese Erinnerung habe ich nicht gefunden. Sende /reminders, um alle zu sehen.",
+        snoozed: (when) => `Verschoben, ich erinnere dich wieder am ${when}. ⏰`,
+        cancelled: "Die Erinnerung ist gelöscht.",
+        timezoneSet: (timezone) => `Deine Zeitzone ist jetzt ${timezone}.`,
+        invalidTimezone: "Diese Zeitzone kenne ich nicht. Nutze einen Namen wie Europe/Berlin oder America/New_York."
+      }
+    },
+    localization: {
+      messages: {
+        current: (name, options) => `Ich schreibe dir auf ${name}. Sende /language mit einer dieser Sprachen, um sie zu ändern: ${options}. Mit /language auto erkenne ich sie wieder aus deinen Nachrichten.`,
+        changed: (name) => `Erledigt, ich schreibe dir ab jetzt auf ${name}. 🌱`,
+        auto: "Erledigt, ich erkenne die Sprache wieder aus deinen Nachrichten. 🌱",
+        unknown: (options) => `Diese Sprache kenne ich nicht. Wähle eine von: ${options}.`
+      }
+    },
+    voice: {
+      messages: {
+        modes: { off: "mit Text", mirror: "mit einer Sprachnachricht, wenn du mir eine schickst", always: "mit Sprachnachrichten" },
+        current: (mode) => `Ich antworte dir ${mode}. Sende /voice on, /voice off oder /voice auto (Sprachnachrichten nur auf deine Sprachnachrichten), um das zu ändern. /text zeigt meine letzte Sprachnachricht als Text.`,
+        changed: (mode) => `Erledigt, ab jetzt antworte ich dir ${mode}. 🎙️`,
+        noVoiceReply: "Ich habe dir noch keine Sprachnachricht geschickt."
+      }
+    },
+    help: {
+      messages: {
+        menu: "Wobei kann ich dir helfen? Wähle ein Thema. 🌱",
+        menuButton: "Themen",
+        topics: {
+          scan: {
+            title: "Pflanzen-Scans",
+            description: "So bekommst du eine Diagnose",
+            text: "Schick mir ein scharfes Foto deiner Pflanze, die betroffenen Blätter am besten aus der Nähe. Deine Frage kannst du als Bildunterschrift dazuschreiben oder eine Sprachnachricht oder ein kurzes Video senden. 📸"
+          },
+          plans: {
+            title: "Tarife",
+            description: "Scans und Abos",
+            text: "Jedes Foto und jede Frage verbraucht einen Scan deines Tarifs. Mit einem Abo bekommst du unbegrenzte tägliche Analysen! 🌱"
+          },
+          location: {
+            title: "Tipps für deine Region",
+            description: "Ratschläge für dein Klima und die Jahreszeit",
+            text: "Teile deinen Standort, dann berücksichtige ich das Klima und die Jahreszeit dort. 📍"
+          },
+          commands: {
+            title: "Befehle",
+            description: "Sprache, Sprachantworten, Erinnerungen, Gedächtnis",
+            text: "/language: meine Sprache ändern\n/voice: Sprachantworten an oder aus\n/remind: eine Pflege-Erinnerung anlegen\n/reminders: deine Erinnerungen\n/memory: was ich über dich weiß\n/forget: mein Gedächtnis löschen"
+          }
+        },
+        followUp: "Soll ich mir noch eine Pflanze ansehen? 🌿",
+        scanAnother: "Schick mir ein Foto der nächsten Pflanze. 📸",
+        subscribe: "Abonniere für unbegrenzte tägliche Analysen, der Button öffnet den sicheren Bezahlvorgang. 🌱",
+        buttons: { scanAnother: "Noch eine Pflanze", subscribe: "Abonnieren", help: "Hilfe" }
+      }
+    }
+  }
+};
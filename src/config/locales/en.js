@@ -0,0 +1,11 @@
+// English, the messages themselves are the defaults in botConfig.js
+module.exports = {
+  name: "English",
+  words: [
+    "the", "and", "is", "are", "my", "you", "your", "what", "how", "why", "this", "that",
+    "with", "have", "has", "it", "i", "am", "do", "does", "to", "of", "for", "from", "should",
+    "can", "please", "thanks", "thank", "hello", "hi", "help", "plant", "leaves", "yellow",
+    "water", "watering", "dying"
+  ],
+  messages: {}
+};
@@ -0,0 +1,121 @@
+// Spanish system messages, the sections mirror botConfig.js
+module.exports = {
+  name: "Español",
+  words: [
+    "el", "los", "las", "y", "mi", "mis", "qué", "cómo", "con", "una", "hola", "gracias", "hojas",
+    "amarillas", "agua", "tiene", "pero", "muy", "puedo", "debo", "del", "al", "lo", "su", "hay",
+    "yo", "ayuda", "necesita", "esta", "este", "mucho"
+  ],
+  messages: {
+    ai: {
+      prompts: {
+        audio: {
+          transcriptionError:
+            "Lo siento, no pude entender tu mensaje de voz. ¿Puedes enviarlo de nuevo o escribir tu mensaje?",
+          tooLong: (minutes) =>
+            `Lo siento, ese mensaje de voz es demasiado largo para mí, puedo escuchar hasta ${minutes} minutos. ¿Puedes enviar uno más corto o escribir tu mensaje? 🙏`
+        }
+      },
+      memory: {
+        messages: {
+          header: "Lo que recuerdo de ti 🌱",
+          empty: "Todavía no recuerdo nada de ti. 🌱",
+          cleared: "Listo, he olvidado todo de nuestras conversaciones anteriores. 🌱"
+        }
+      }
+    },
+    subscription: {
+      messages: {
+        expired: "Se acabaron tus análisis de plantas. ¡Mejora tu plan para análisis diarios ilimitados!🌱",
+        upgradeButton: "Mejorar ahora",
+        quotaReached: "Has usado todos los análisis de tu plan por ahora. ¡Se renuevan con el próximo período! 🌱"
+      },
+      checkout: { locale: "es" }
+    },
+    errors: {
+      general: "Lo siento, ahora mismo tengo problemas para procesar tu mensaje. Inténtalo de nuevo en un momento. 🙏",
+      unsupportedType: "Lo siento, por ahora no puedo procesar este tipo de mensaje. 🙏"
+    },
+    access: {
+      countries: {
+        message: "Hola, lo sentimos, pero este servicio no está disponible en tu país."
+      }
+    },
+    campaigns: {
+      optOutKeywords: ["stop", "baja"],
+      optInKeywords: ["start", "alta"],
+      messages: {
+        optedOut: "Ya no recibirás más novedades de nuestra parte. Envía START para volver a recibirlas.",
+        optedIn: "¡Bienvenido de nuevo! Volverás a recibir nuestras novedades. 🌱"
+      }
+    },
+    reminders: {
+      dateLocale: "es-ES",
+      template: { languageCode: "es" },  // Language of the approved reminder template
+      messages: {
+        reminder: (task) => `⏰ Recordatorio: ${task}\n\nResponde /snooze para que te lo recuerde más tarde.`,
+        created: (when) => `¡Entendido! Te lo recordaré el ${when}. 🌱`,
+        repeats: (interval, unit) => {
+          const units = { day: ["día", "días"], week: ["semana", "semanas"], month: ["mes", "meses"] }[unit];
+          return interval === 1 ? `cada ${units[0]}` : `cada ${interval} ${units[1]}`;
+        },
+        usage: "Dime cuándo y qué, por ejemplo:\n/remind in 3 days water the fern\n/remind tomorrow at 18:00 check the basil\n/remind every week at 09:00 fertilise the monstera",
+        listHeader: "Tus recordatorios ⏰",
+        noReminders: "No tienes recordatorios. Envía /remind para crear uno.",
+        notFound: "No encontré ese recordatorio. Envía /reminders para verlos todos.",
+        snoozed: (when) => `Pospuesto, te lo recordaré de nuevo el ${when}. ⏰`,
+        cancelled: "El recordatorio está cancelado.",
+        timezoneSet: (timezone) => `Tu zona horaria ahora es ${timezone}.`,
+        invalidTimezone: "No conozco esa zona horaria. Usa un nombre como Europe/Madrid o America/Mexico_City."
+      }
+    },
+    localization: {
+      messages: {
+        current: (name, options) => `Te escribo en ${name}. Envía /language con uno de estos idiomas para cambiarlo: ${options}. Con /language auto lo detecto de nuevo en tus mensajes.`,
+        changed: (name) => `Listo, a partir de ahora te escribo en ${name}. 🌱`,
+        auto: "Listo, volveré a detectar el idioma en tus mensajes. 🌱",
+        unknown: (options) => `No conozco ese idioma. Elige uno de: ${options}.`
+      }
+    },
+    voice: {
+      messages: {
+        modes: { off: "por texto", mirror: "con una nota de voz cuando me envías una", always: "con notas de voz" },
+        current: (mode) => `Te respondo ${mode}. Envía /voice on, /voice off o /voice auto (notas de voz solo a tus notas de voz) para cambiarlo. /text muestra mi última nota de voz como texto.`,
+        changed: (mode) => `Listo, a partir de ahora te respondo ${mode}. 🎙️`,
+        noVoiceReply: "Todavía no te he enviado ninguna nota de voz."
+      }
+    },
+    help: {
+      messages: {
+        menu: "¿En qué te puedo ayudar? Elige un tema. 🌱",
+        menuButton: "Temas",
+        topics: {
+          scan: {
+            title: "Análisis de plantas",
+            description: "Cómo obtener un diagnóstico",
+            text: "Envíame una foto nítida de tu planta, con las hojas afectadas de cerca si puedes. Añade tu pregunta como pie de foto o envía una nota de voz o un video corto. 📸"
+          },
+          plans: {
+            title: "Planes",
+            description: "Análisis y suscripciones",
+            text: "Cada foto o pregunta usa un análisis de tu plan. ¡Suscríbete para análisis diarios ilimitados! 🌱"
+          },
+          location: {
+            title: "Consejos locales",
+            description: "Consejos para tu clima y la estación",
+            text: "Comparte tu ubicación y tendré en cuenta el clima y la estación de allí. 📍"
+          },
+          commands: {
+            title: "Comandos",
+            description: "Idioma, respuestas de voz, recordatorios, memoria",
+            text: "/language: cambiar mi idioma\n/voice: respuestas de voz sí o no\n/remind: crear un recordatorio de cuidado\n/reminders: tus recordatorios\n/memory: lo que recuerdo de ti\n/forget: borrar mi memoria"
+          }
+        },
+        followUp: "¿Quieres que revise otra planta? 🌿",
+        scanAnother: "Envíame una foto de la siguiente planta. 📸",
+        subscribe: "Suscríbete para análisis diarios ilimitados, el botón abre el pago seguro. 🌱",
+        buttons: { scanAnother: "Otra planta", subscribe: "Suscribirme", help: "Ayuda" }
+      }
+    }
+  }
+};
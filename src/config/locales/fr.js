@@ -0,0 +1,122 @@
+// French system messages, the sections mirror botConfig.js
+module.exports = {
+  name: "Français",
+  words: [
+    "le", "les", "et", "est", "mon", "ma", "mes", "pas", "avec", "une", "bonjour", "salut", "merci",
+    "plante", "feuilles", "jaunes", "arroser", "eau", "il", "elle", "je", "qu", "pourquoi",
+    "comment", "mais", "très", "peux", "dois", "du", "des", "au", "sur", "ce", "cette", "aide",
+    "besoin", "vous", "tu"
+  ],
+  messages: {
+    ai: {
+      prompts: {
+        audio: {
+          transcriptionError:
+            "Désolé, je n'ai pas compris ton message vocal. Peux-tu le renvoyer ou écrire ton message ?",
+          tooLong: (minutes) =>
+            `Désolé, ce message vocal est trop long pour moi, je peux écouter jusqu'à ${minutes} minutes. Peux-tu en envoyer un plus court ou écrire ton message ? 🙏`
+        }
+      },
+      memory: {
+        messages: {
+          header: "Ce que je sais de toi 🌱",
+          empty: "Je ne sais encore rien de toi. 🌱",
+          cleared: "C'est fait, j'ai oublié tout ce que nous nous sommes dit. 🌱"
+        }
+      }
+    },
+    subscription: {
+      messages: {
+        expired: "Tu n'as plus d'analyses de plantes. Passe à l'offre supérieure pour des analyses quotidiennes illimitées !🌱",
+        upgradeButton: "Mettre à niveau",
+        quotaReached: "Tu as utilisé toutes les analyses de ton offre pour le moment. Elles se renouvellent à la prochaine période ! 🌱"
+      },
+      checkout: { locale: "fr" }
+    },
+    errors: {
+      general: "Désolé, j'ai du mal à traiter ton message pour le moment. Réessaie dans un instant. 🙏",
+      unsupportedType: "Désolé, je ne peux pas traiter ce type de message pour le moment. 🙏"
+    },
+    access: {
+      countries: {
+        message: "Bonjour, nous sommes désolés mais ce service n'est pas disponible dans ton pays."
+      }
+    },
+    campaigns: {
+      optOutKeywords: ["stop", "arrêt", "désabonner"],
+      optInKeywords: ["start"],
+      messages: {
+        optedOut: "Tu ne recevras plus nos actualités. Envoie START pour les recevoir à nouveau.",
+        optedIn: "Bon retour ! Tu recevras à nouveau nos actualités. 🌱"
+      }
+    },
+    reminders: {
+      dateLocale: "fr-FR",
+      template: { languageCode: "fr" },  // Language of the approved reminder template
+      messages: {
+        reminder: (task) => `⏰ Rappel : ${task}\n\nRéponds /snooze pour un nouveau rappel plus tard.`,
+        created: (when) => `C'est noté ! Je te le rappellerai le ${when}. 🌱`,
+        repeats: (interval, unit) => {
+          const units = { day: ["jour", "jours"], week: ["semaine", "semaines"], month: ["mois", "mois"] }[unit];
+          return interval === 1 ? `chaque ${units[0]}` : `tous les ${interval} ${units[1]}`;
+        },
+        usage: "Dis-moi quand et quoi, par exemple :\n/remind in 3 days water the fern\n/remind tomorrow at 18:00 check the basil\n/remind every week at 09:00 fertilise the monstera",
+        listHeader: "Tes rappels ⏰",
+        noReminders: "Tu n'as aucun rappel. Envoie /remind pour en créer un.",
+        notFound: "Je n'ai pas trouvé ce rappel. Envoie /reminders pour tous les voir.",
+        snoozed: (when) => `Reporté, je te le rappellerai le ${when}. ⏰`,
+        cancelled: "Le rappel est annulé.",
+        timezoneSet: (timezone) => `Ton fuseau horaire est maintenant ${timezone}.`,
+        invalidTimezone: "Je ne connais pas ce fuseau horaire. Utilise un nom comme Europe/Paris ou America/Montreal."
+      }
+    },
+    localization: {
+      messages: {
+        current: (name, options) => `Je t'écris en ${name}. Envoie /language avec l'une de ces langues pour la changer : ${options}. Avec /language auto, je la détecte à nouveau dans tes messages.`,
+        changed: (name) => `C'est fait, je t'écris désormais en ${name}. 🌱`,
+        auto: "C'est fait, je détecte à nouveau la langue dans tes messages. 🌱",
+        unknown: (options) => `Je ne connais pas cette langue. Choisis parmi : ${options}.`
+      }
+    },
+    voice: {
+      messages: {
+        modes: { off: "par écrit", mirror: "par message vocal quand tu m'en envoies un", always: "par messages vocaux" },
+        current: (mode) => `Je te réponds ${mode}. Envoie /voice on, /voice off ou /voice auto (vocal seulement pour tes messages vocaux) pour changer. /text affiche mon dernier message vocal en texte.`,
+        changed: (mode) => `C'est fait, désormais je te réponds ${mode}. 🎙️`,
+        noVoiceReply: "Je ne t'ai pas encore envoyé de message vocal."
+      }
+    },
+    help: {
+      messages: {
+        menu: "Comment puis-je t'aider ? Choisis un sujet. 🌱",
+        menuButton: "Sujets",
+        topics: {
+          scan: {
+            title: "Analyses de plantes",
+            description: "Comment obtenir un diagnostic",
+            text: "Envoie-moi une photo nette de ta plante, avec les feuilles touchées de près si possible. Ajoute ta question en légende, ou envoie un message vocal ou une courte vidéo. 📸"
+          },
+          plans: {
+            title: "Offres",
+            description: "Analyses et abonnements",
+            text: "Chaque photo ou question utilise une analyse de ton offre. Abonne-toi pour des analyses quotidiennes illimitées ! 🌱"
+          },
+          location: {
+            title: "Conseils locaux",
+            description: "Des conseils pour ton climat et la saison",
+            text: "Partage ta position et je tiendrai compte du climat et de la saison chez toi. 📍"
+          },
+          commands: {
+            title: "Commandes",
+            description: "Langue, réponses vocales, rappels, mémoire",
+            text: "/language : changer ma langue\n/voice : réponses vocales oui ou non\n/remind : créer un rappel d'entretien\n/reminders : tes rappels\n/memory : ce dont je me souviens\n/forget : effacer ma mémoire"
+          }
+        },
+        followUp: "Tu veux que je regarde une autre plante ? 🌿",
+        scanAnother: "Envoie-moi une photo de la plante suivante. 📸",
+        subscribe: "Abonne-toi pour des analyses quotidiennes illimitées, le bouton ouvre le paiement sécurisé. 🌱",
+        buttons: { scanAnother: "Une autre plante", subscribe: "M'abonner", help: "Aide" }
+      }
+    }
+  }
+};
@@ -0,0 +1,121 @@
+// Portuguese system messages, the sections mirror botConfig.js
+module.exports = {
+  name: "Português",
+  words: [
+    "o", "os", "e", "é", "meu", "minha", "não", "com", "uma", "olá", "oi", "obrigado", "obrigada",
+    "folhas", "amarelas", "água", "tem", "mas", "muito", "posso", "devo", "do", "da", "dos", "na",
+    "ela", "ele", "você", "ajuda", "precisa", "isso", "essa", "esse"
+  ],
+  messages: {
+    ai: {
+      prompts: {
+        audio: {
+          transcriptionError:
+            "Desculpe, não consegui entender sua mensagem de voz. Pode enviá-la de novo ou escrever sua mensagem?",
+          tooLong: (minutes) =>
+            `Desculpe, essa mensagem de voz é longa demais para mim, consigo ouvir até ${minutes} minutos. Pode enviar uma mais curta ou escrever sua mensagem? 🙏`
+        }
+      },
+      memory: {
+        messages: {
+          header: "O que eu lembro sobre você 🌱",
+          empty: "Ainda não lembro de nada sobre você. 🌱",
+          cleared: "Pronto, esqueci tudo das nossas conversas anteriores. 🌱"
+        }
+      }
+    },
+    subscription: {
+      messages: {
+        expired: "Suas análises de plantas acabaram. Faça upgrade para análises diárias ilimitadas!🌱",
+        upgradeButton: "Fazer upgrade",
+        quotaReached: "Você usou todas as análises do seu plano por enquanto. Elas se renovam no próximo período! 🌱"
+      },
+      checkout: { locale: "pt-BR" }
+    },
+    errors: {
+      general: "Desculpe, estou com dificuldades para processar sua mensagem agora. Tente novamente em instantes. 🙏",
+      unsupportedType: "Desculpe, no momento não consigo processar este tipo de mensagem. 🙏"
+    },
+    access: {
+      countries: {
+        message: "Olá, infelizmente este serviço não está disponível no seu país."
+      }
+    },
+    campaigns: {
+      optOutKeywords: ["stop", "parar", "sair"],
+      optInKeywords: ["start", "voltar"],
+      messages: {
+        optedOut: "Você não receberá mais novidades nossas. Envie START para voltar a recebê-las.",
+        optedIn: "Bem-vindo de volta! Você voltará a receber nossas novidades. 🌱"
+      }
+    },
+    reminders: {
+      dateLocale: "pt-BR",
+      template: { languageCode: "pt_BR" },  // Language of the approved reminder template
+      messages: {
+        reminder: (task) => `⏰ Lembrete: ${task}\n\nResponda /snooze para ser lembrado mais tarde.`,
+        created: (when) => `Combinado! Vou te lembrar em ${when}. 🌱`,
+        repeats: (interval, unit) => {
+          const units = { day: ["todo dia", "dias"], week: ["toda semana", "semanas"], month: ["todo mês", "meses"] }[unit];
+          return interval === 1 ? units[0] : `a cada ${interval} ${units[1]}`;
+        },
+        usage: "Diga quando e o quê, por exemplo:\n/remind in 3 days water the fern\n/remind tomorrow at 18:00 check the basil\n/remind every week at 09:00 fertilise the monstera",
+        listHeader: "Seus lembretes ⏰",
+        noReminders: "Você não tem lembretes. Envie /remind para criar um.",
+        notFound: "Não encontrei esse lembrete. Envie /reminders para ver todos.",
+        snoozed: (when) => `Adiado, vou te lembrar de novo em ${when}. ⏰`,
+        cancelled: "O lembrete foi cancelado.",
+        timezoneSet: (timezone) => `Seu fuso horário agora é ${timezone}.`,
+        invalidTimezone: "Não conheço esse fuso horário. Use um nome como America/Sao_Paulo ou Europe/Lisbon."
+      }
+    },
+    localization: {
+      messages: {
+        current: (name, options) => `Escrevo para você em ${name}. Envie /language com um destes idiomas para mudar: ${options}. Com /language auto eu volto a detectá-lo pelas suas mensagens.`,
+        changed: (name) => `Pronto, a partir de agora escrevo para você em ${name}. 🌱`,
+        auto: "Pronto, vou detectar o idioma pelas suas mensagens de novo. 🌱",
+        unknown: (options) => `Não conheço esse idioma. Escolha um de: ${options}.`
+      }
+    },
+    voice: {
+      messages: {
+        modes: { off: "por texto", mirror: "com um áudio quando você me manda um", always: "com áudios" },
+        current: (mode) => `Estou respondendo ${mode}. Envie /voice on, /voice off ou /voice auto (áudio só para os seus áudios) para mudar. /text mostra meu último áudio como texto.`,
+        changed: (mode) => `Pronto, a partir de agora respondo ${mode}. 🎙️`,
+        noVoiceReply: "Ainda não te enviei nenhum áudio."
+      }
+    },
+    help: {
+      messages: {
+        menu: "Como posso ajudar? Escolha um tema. 🌱",
+        menuButton: "Temas",
+        topics: {
+          scan: {
+            title: "Análises de plantas",
+            description: "Como receber um diagnóstico",
+            text: "Envie uma foto nítida da sua planta, com as folhas afetadas de perto se puder. Escreva sua pergunta na legenda ou envie um áudio ou um vídeo curto. 📸"
+          },
+          plans: {
+            title: "Planos",
+            description: "Análises e assinaturas",
+            text: "Cada foto ou pergunta usa uma análise do seu plano. Assine para ter análises diárias ilimitadas! 🌱"
+          },
+          location: {
+            title: "Dicas locais",
+            description: "Dicas para o seu clima e a estação",
+            text: "Compartilhe sua localização e vou considerar o clima e a estação do lugar. 📍"
+          },
+          commands: {
+            title: "Comandos",
+            description: "Idioma, respostas em áudio, lembretes, memória",
+            text: "/language: mudar meu idioma\n/voice: respostas em áudio sim ou não\n/remind: criar um lembrete de cuidado\n/reminders: seus lembretes\n/memory: o que lembro de você\n/forget: apagar minha memória"
+          }
+        },
+        followUp: "Quer que eu veja outra planta? 🌿",
+        scanAnother: "Envie uma foto da próxima planta. 📸",
+        subscribe: "Assine para ter análises diárias ilimitadas, o botão abre o pagamento seguro. 🌱",
+        buttons: { scanAnother: "Outra planta", subscribe: "Assinar", help: "Ajuda" }
+      }
+    }
+  }
+};
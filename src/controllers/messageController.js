@@ -2,115 +2,522 @@ const whatsapp = require('../services/whatsappService');
 const { generateResponse } = require('../ai/model');
 const databaseService = require('../services/databaseService');
 const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
 const logger = require('../utils/logger');
-const { isBlockedCountry } = require('../utils/countryBlocker');
+const { isBlockedCountry } = require('../utils/countryPolicy');
 const { transcribeAudio } = require('../services/transcriptionService');
 const { downloadImageFromWhatsApp } = require('../services/imageService');
-const { handleMessage: queueHandler } = require('../services/queueService');
-const botConfig = require('../config/botConfig');
-
-const SUBSCRTIPTION_MESSAGE = "You're out of messages. Click here to upgrade and receive unlimited messages!🙏 https://plantvisionai.com/subscribe";
-const ERROR_MESSAGE = "I apologixe, but I'm having trouble processing your message right now. Please try again in a moment.🙏";
+const { getMediaInfo, downloadMedia, toDataUrl } = require('../services/mediaService');
+const { isImageDocument, extractDocumentText } = require('../services/documentService');
+const { sampleVideoFrames } = require('../services/videoService');
+const { storeUserMedia, attachHistoryImages } = require('../services/mediaStorageService');
+const { enqueueMessage, runJobStep, processMessageDirectly } = require('../services/queueService');
+const { isDuplicateMessage, releaseMessage } = require('../services/deduplicationService');
+const { handleOptOutKeyword } = require('../services/campaignService');
+const memoryService = require('../services/memoryService');
+const localeService = require('../services/localeService');
+const voiceService = require('../services/voiceService');
+const helpService = require('../services/helpService');
+const { handleReminderCommand } = require('../services/reminderService');
+const tenantService = require('../services/tenantService');
 
 async function handleMessage(req) {
-  try {
-    logger.info('Processing incoming message:', req.body);
-    
-    // Extract the message data
-    const data = req.body;
-    if (!data.entry?.[0]?.changes?.[0]?.value?.messages?.[0]) {
-      logger.info('No message in webhook payload');
-      return;
+  logger.info('Processing incoming webhook:', req.body);
+
+  // Meta can batch several entries, changes, messages and statuses into one delivery
+  const values = (req.body.entry || [])
+    .flatMap(entry => entry.changes || [])
+    .map(change => change.value || {});
+
+  const results = [];
+  for (const value of values) {
+    // Each change belongs to the number (tenant) it was sent to
+    const phoneNumberId = value.metadata?.phone_number_id;
+    const tenant = tenantService.findTenantByPhoneNumberId(phoneNumberId);
+    if (!tenant) {
+      logger.error(`No tenant configured for phone number ID ${phoneNumberId}, ignoring webhook change`);
+      results.push({ status: 'unknown_tenant' });
+      continue;
     }
 
-    const message = data.entry[0].changes[0].value.messages[0];
-    const from = message.from;
+    await tenantService.runWithTenant(tenant.id, async () => {
+      for (const status of value.statuses || []) {
+        results.push(await handleStatus(status));
+      }
+      for (const message of value.messages || []) {
+        results.push(await handleIncomingMessage(message));
+      }
+    });
+  }
+
+  if (results.length === 0) {
+    logger.info('No messages or statuses in webhook payload');
+  }
+  return results;
+}
+
+async function handleIncomingMessage(message) {
+  const from = message.from;
+  try {
+    // Skip webhook retries before any quota or AI work
+    if (await isDuplicateMessage(message)) {
+      return { status: 'duplicate' };
+    }
     
-    // Check for blocked country
+    // Check the country policy, blocked users get no account so the language comes from this message
     if (isBlockedCountry(from)) {
       logger.info(`Blocked message from country: ${from}`);
-      await whatsapp.sendText(from, botConfig.access.blockedCountries.message);
-      return;
+      await tenantService.runWithLocale(localeService.detectMessageLanguage(message), () =>
+        whatsapp.sendText(from, tenantService.getConfig().access.countries.message, { replyTo: message.id }));
+      return { status: 'blocked' };
     }
 
-    let messageContent = '';
-    let messageType = message.type;
-    let messageForAI = '';
+    // System messages below are sent in the user's language
+    const locale = await localeService.resolveLocale(message);
+    return await tenantService.runWithLocale(locale, () => routeMessage(message));
 
-    if (messageType === 'text') {
-      messageContent = message.text.body;
-      messageForAI = [{ type: "text", text: messageContent }];
-      logger.info(`Prepared text message: ${messageContent}`);
-    } else if (messageType === 'audio') {
-      const mediaId = message.audio.id;
-      messageContent = await transcribeAudio(mediaId);
+  } catch (error) {
+    logger.error(`Error processing message: ${error.message}`);
+    logger.error(error.stack);
+    // Not stored or answered: free the ID and let the webhook fail so Meta retries
+    await releaseMessage(message);
+    return { status: 'retry' };
+  }
+}
+
+async function routeMessage(message) {
+  const from = message.from;
+
+  // STOP / START keywords only change the campaign opt-out
+  if (await handleOptOutKeyword(message)) {
+    return { status: 'opt_out_updated' };
+  }
+
+  if (await localeService.handleLanguageCommand(message)) {
+    return { status: 'language_command' };
+  }
+
+  // /voice and /text, answered directly like the other commands
+  if (await voiceService.handleVoiceCommand(message)) {
+    return { status: 'voice_command' };
+  }
+
+  // /help and taps on our own buttons and help topics
+  if (await helpService.handleHelpCommand(message) || await helpService.handleHelpReply(message)) {
+    return { status: 'help' };
+  }
+
+  // Memory commands are answered directly and don't use up quota
+  if (await memoryService.handleMemoryCommand(message)) {
+    return { status: 'memory_command' };
+  }
+
+  // Reminder commands (/remind, /reminders, /snooze, /cancel, /timezone) work the same way
+  if (await handleReminderCommand(message)) {
+    return { status: 'reminder_command' };
+  }
+
+  // Reactions are only answered when configured, otherwise they just go into the history
+  if (message.type === 'reaction') {
+    const reactionConfig = getTypeConfig('reaction');
+    if (!reactionConfig?.enabled || !message.reaction.emoji) {
+      return { status: 'ignored' };
+    }
+    if (!reactionConfig.answer) {
+      const { messageContent } = await describeReaction(message.reaction);
+      await databaseService.saveMessage(from, messageContent, null);
+      return { status: 'reaction_saved' };
+    }
+  }
+
+  if (!isSupportedMessage(message)) {
+    logger.info(`Unsupported message type: ${message.type}`);
+    await whatsapp.sendText(from, tenantService.getConfig().errors.unsupportedType, { replyTo: message.id });
+    return { status: 'unsupported' };
+  }
+
+  // Store the message, the queue workers take it from here
+  const job = await enqueueMessage(from, message);
+  return { status: 'queued', jobId: job.id };
+}
+
+// Delivery updates (sent/delivered/read/failed) for messages we sent
+async function handleStatus(status) {
+  try {
+    if (status.status === 'failed') {
+      const reasons = (status.errors || []).map(e => `${e.code} ${e.title}`).join(', ');
+      logger.error(`Message ${status.id} to ${status.recipient_id} failed: ${reasons}`);
+    } else {
+      logger.info(`Message ${status.id} to ${status.recipient_id} is ${status.status}`);
+    }
+
+    await databaseService.saveMessageStatus(status);
+    return { status: 'status_saved' };
+  } catch (error) {
+    logger.error(`Error saving message status: ${error.message}`);
+    // Fails the webhook, so Meta delivers the update again
+    return { status: 'retry' };
+  }
+}
+
+// Button and list replies are answered like the text of the chosen option
+function getReplyText(message) {
+  if (message.type === 'button') {
+    return message.button?.text;
+  }
+
+  const { button_reply: buttonReply, list_reply: listReply } = message.interactive || {};
+  if (buttonReply) return buttonReply.title;
+  if (listReply) {
+    return listReply.description ? `${listReply.title}: ${listReply.description}` : listReply.title;
+  }
+  return null;
+}
+
+// Flags, costs and limits per message type, they can differ per tenant
+function getTypeConfig(type) {
+  return tenantService.getConfig().whatsapp.messageTypes[type];
+}
+
+function isSupportedMessage(message) {
+  const typeConfig = getTypeConfig(message.type);
+  if (!typeConfig?.enabled) return false;
+  if (message.type === 'interactive' || message.type === 'button') {
+    return Boolean(getReplyText(message));
+  }
+  if (message.type === 'document') {
+    return typeConfig.mimeTypes.includes(message.document.mime_type);
+  }
+  return true;
+}
+
+// A caption is passed on as the user's own words
+function captionParts(caption) {
+  return caption ? [{ type: "text", text: caption }] : [];
+}
+
+function withCaption(description, caption) {
+  return caption ? `${description} with caption: ${caption}` : description;
+}
+
+// Keeps the file the user sent, returns the ids for the message row
+async function keepMedia(from, mediaId, buffer, mimeType) {
+  const file = await storeUserMedia(from, { buffer, mimeType, mediaId });
+  return file ? [file.id] : [];
+}
+
+// PDFs and text files are sent as their text, image documents as images
+async function prepareDocument(from, document) {
+  const { maxSize, maxTextLength } = getTypeConfig('document');
+  const { prompts } = tenantService.getConfig().ai;
+  const filename = document.filename || 'document';
+  const messageContent = withCaption(`Document "${filename}"`, document.caption);
+  const unreadable = (reason, mediaIds = []) => ({
+    messageContent,
+    mediaIds,
+    messageForAI: [{ type: "text", text: prompts.document.unreadable(filename, reason) }, ...captionParts(document.caption)]
+  });
+
+  const info = await getMediaInfo(document.id);
+  if (info.file_size > maxSize) {
+    return unreadable('the file is too large');
+  }
+  const buffer = await downloadMedia(info.url);
+  const mediaIds = await keepMedia(from, document.id, buffer, info.mime_type || document.mime_type);
+
+  if (isImageDocument(document.mime_type)) {
+    return {
+      messageContent,
+      mediaIds,
+      messageForAI: [
+        { type: "text", text: prompts.document.image(filename).replace('{context}', prompts.image.defaultContext) },
+        { type: "image_url", image_url: { url: toDataUrl(buffer, document.mime_type) } },
+        ...captionParts(document.caption)
+      ]
+    };
+  }
+
+  // Damaged or password protected files are described to the model instead of failing the job
+  let text;
+  try {
+    text = await extractDocumentText(buffer, document.mime_type, maxTextLength);
+  } catch (error) {
+    logger.error(`Error reading document ${filename}: ${error.message}`);
+    return unreadable('it could not be opened, it may be damaged or password protected', mediaIds);
+  }
+  if (!text) {
+    return unreadable('it contains no text, it may be a scan', mediaIds);
+  }
+  return {
+    messageContent,
+    mediaIds,
+    messageForAI: [{ type: "text", text: prompts.document.text(filename, text) }, ...captionParts(document.caption)]
+  };
+}
+
+// Videos are sent as a few evenly spaced frames
+async function prepareVideo(from, video) {
+  const { maxSize, maxDuration, frames, frameWidth } = getTypeConfig('video');
+  const { prompts } = tenantService.getConfig().ai;
+  const unreadable = (messageContent, reason, mediaIds = []) => ({
+    messageContent,
+    mediaIds,
+    messageForAI: [{ type: "text", text: prompts.video.unreadable(reason) }, ...captionParts(video.caption)]
+  });
+
+  const info = await getMediaInfo(video.id);
+  if (info.file_size > maxSize) {
+    return unreadable(withCaption('Video', video.caption), 'the file is too large');
+  }
+
+  const buffer = await downloadMedia(info.url);
+  const mediaIds = await keepMedia(from, video.id, buffer, info.mime_type || video.mime_type);
+  // Unreadable containers (or a missing ffmpeg) are described to the model instead of failing the job
+  let sampled;
+  try {
+    sampled = await sampleVideoFrames(buffer, { frames, frameWidth, maxDuration });
+  } catch (error) {
+    logger.error(`Error sampling video frames: ${error.message}`);
+    return unreadable(withCaption('Video', video.caption), 'it could not be played', mediaIds);
+  }
+  const seconds = Math.round(sampled.duration);
+  const messageContent = withCaption(`Video (${seconds}s)`, video.caption);
+  if (sampled.frames.length === 0) {
+    return unreadable(messageContent, `it is ${seconds} seconds long, the limit is ${maxDuration}`, mediaIds);
+  }
+
+  return {
+    messageContent,
+    mediaIds,
+    messageForAI: [
+      { type: "text", text: prompts.video.frames(sampled.frames.length, seconds).replace('{context}', prompts.image.defaultContext) },
+      ...sampled.frames.map(frame => ({ type: "image_url", image_url: { url: toDataUrl(frame, 'image/jpeg') } })),
+      ...captionParts(video.caption)
+    ]
+  };
+}
+
+function describeLocation(location) {
+  const place = [location.name, location.address].filter(Boolean).join(', ');
+  const coordinates = `${location.latitude}, ${location.longitude}`;
+  return place ? `${place} (${coordinates})` : coordinates;
+}
+
+function describeContacts(contacts) {
+  return (contacts || []).map(contact => {
+    const name = contact.name?.formatted_name || 'Unnamed contact';
+    const details = [
+      ...(contact.phones || []).map(phone => phone.phone),
+      ...(contact.emails || []).map(email => email.email)
+    ];
+    return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+  }).join('; ');
+}
+
+// Reactions refer to one of our replies, stored with its text in outbound_messages
+async function describeReaction(reaction) {
+  const content = await databaseService.getOutboundMessageContent(reaction.message_id);
+  const text = content && content.length > 100 ? `${content.slice(0, 100)}...` : content;
+  return {
+    text,
+    messageContent: text ? `Reacted ${reaction.emoji} to: "${text}"` : `Reacted ${reaction.emoji} to a message`
+  };
+}
+
+async function prepareMessage(from, message) {
+  let messageContent = '';
+  let messageForAI = '';
+  let mediaIds = [];
+  let rejection = null;
+
+  if (message.type === 'text') {
+    messageContent = message.text.body;
+    messageForAI = [{ type: "text", text: messageContent }];
+    logger.info(`Prepared text message: ${messageContent}`);
+  } else if (message.type === 'audio') {
+    const language = await localeService.getUserLocale(from);
+    const transcription = await transcribeAudio(message.audio.id, { language });
+    if (transcription.rejected) {
+      // Answered with the tooLong message, the AI never sees it
+      const minutes = Math.max(Math.floor(getTypeConfig('audio').maxDuration / 60), 1);
+      rejection = tenantService.getConfig().ai.prompts.audio.tooLong(minutes);
+      messageForAI = [];
+      logger.info('Rejected a voice message over the limits');
+    } else {
+      messageContent = transcription.text;
       messageForAI = [{ type: "text", text: messageContent }];
       logger.info(`Transcribed audio message: ${messageContent}`);
-    } else if (messageType === 'image') {
-      const imageUrl = await downloadImageFromWhatsApp(message.image.id);
-      const caption = message.image.caption || '';
-      messageContent = caption ? `Image with caption: ${caption}` : "Image sent by user";
+    }
+  } else if (message.type === 'image') {
+    const image = await downloadImageFromWhatsApp(message.image.id);
+    mediaIds = await keepMedia(from, message.image.id, image.buffer, image.mimeType);
+    const caption = message.image.caption || '';
+    messageContent = caption ? `Image with caption: ${caption}` : "Image sent by user";
+    
+    const { prompts } = tenantService.getConfig().ai;
+    const promptTemplate = caption 
+      ? prompts.image.withCaption(caption)
+      : prompts.image.withoutCaption;
       
-      const promptTemplate = caption 
-        ? botConfig.ai.prompts.image.withCaption(caption)
-        : botConfig.ai.prompts.image.withoutCaption;
-        
+    messageForAI = [
+      { 
+        type: "text", 
+        text: promptTemplate.replace('{context}', prompts.image.defaultContext)
+      },
+      {
+        type: "image_url",
+        image_url: { url: toDataUrl(image.buffer, image.mimeType) }
+      }
+    ];
+    logger.info(`Prepared image message with caption: ${caption}`);
+  } else if (message.type === 'interactive' || message.type === 'button') {
+    messageContent = getReplyText(message);
+    messageForAI = [{ type: "text", text: messageContent }];
+    logger.info(`Prepared interactive reply: ${messageContent}`);
+  } else if (message.type === 'document') {
+    ({ messageContent, messageForAI, mediaIds } = await prepareDocument(from, message.document));
+    logger.info(`Prepared document message: ${message.document.filename} (${message.document.mime_type})`);
+  } else if (message.type === 'video') {
+    ({ messageContent, messageForAI, mediaIds } = await prepareVideo(from, message.video));
+    logger.info(`Prepared video message: ${messageContent}`);
+  } else if (message.type === 'sticker') {
+    const { prompts } = tenantService.getConfig().ai;
+    messageContent = "Sticker";
+    // Animated stickers are not accepted as images by every provider
+    if (message.sticker.animated) {
+      messageForAI = [{ type: "text", text: prompts.animatedSticker }];
+    } else {
+      const sticker = await downloadImageFromWhatsApp(message.sticker.id);
+      mediaIds = await keepMedia(from, message.sticker.id, sticker.buffer, sticker.mimeType);
       messageForAI = [
-        { 
-          type: "text", 
-          text: promptTemplate.replace('{context}', botConfig.ai.prompts.defaultContext)
-        },
-        {
-          type: "image_url",
-          image_url: { url: imageUrl }
-        }
+        { type: "text", text: prompts.sticker },
+        { type: "image_url", image_url: { url: toDataUrl(sticker.buffer, sticker.mimeType) } }
       ];
-      logger.info(`Prepared image message with caption: ${caption}`);
-    } else {
-      logger.info(`Unsupported message type: ${messageType}`);
-      await whatsapp.sendText(from, botConfig.errors.unsupportedType);
-      return;
     }
+    logger.info('Prepared sticker message');
+  } else if (message.type === 'location') {
+    const place = describeLocation(message.location);
+    messageContent = `Location: ${place}`;
+    messageForAI = [{ type: "text", text: tenantService.getConfig().ai.prompts.location(place) }];
+    logger.info(`Prepared location message: ${place}`);
+  } else if (message.type === 'contacts') {
+    const contacts = describeContacts(message.contacts);
+    messageContent = `Contact: ${contacts}`;
+    messageForAI = [{ type: "text", text: tenantService.getConfig().ai.prompts.contacts(contacts) }];
+    logger.info(`Prepared contacts message: ${contacts}`);
+  } else if (message.type === 'reaction') {
+    const reaction = await describeReaction(message.reaction);
+    messageContent = reaction.messageContent;
+    messageForAI = [{ type: "text", text: tenantService.getConfig().ai.prompts.reaction(message.reaction.emoji, reaction.text || '') }];
+    logger.info(`Prepared reaction: ${message.reaction.emoji}`);
+  } else {
+    throw new Error(`Unsupported message type: ${message.type}`);
+  }
 
-    // Pass all handlers to the queue service
-    const handlers = {
-      checkSubscription: paymentService.checkStripeSubscription,
-      findOrCreateUser: databaseService.findOrCreateUser,
-      updateSubscription: databaseService.updateSubscription,
-      incrementMessageCount: databaseService.incrementMessageCount,
-      getConversationContext: databaseService.getConversationContext,
-      generateAIResponse: generateResponse,
-      sendWhatsAppMessage: whatsapp.sendText,
-      saveMessage: databaseService.saveMessage
-    };
+  return { messageContent, messageForAI, mediaIds, rejection };
+}
 
-    logger.info(`Processing message from ${from} with type ${messageType}`);
+// Merges a burst of messages into one AI turn, in the order they were sent
+async function prepareMessages(from, messages) {
+  const ordered = [...messages].sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0));
+  const prepared = [];
+  for (const message of ordered) {
+    prepared.push({ message, ...(await prepareMessage(from, message)) });
+  }
 
-    // Let the queue service handle the message
-    const result = await queueHandler({
-      message: {
-        messageContent,
-        messageForAI
-      },
-      from,
-      messageType,
-      handlers
-    });
+  // Rejected messages get their own reply and are left out of the turn
+  const accepted = prepared.filter(p => !p.rejection);
+  return {
+    rejections: prepared.filter(p => p.rejection).map(p => ({ messageId: p.message.id, text: p.rejection })),
+    messageContent: accepted.map(p => p.messageContent).join('\n'),
+    messageForAI: accepted.flatMap(p => p.messageForAI),
+    mediaIds: accepted.flatMap(p => p.mediaIds),
+    messageId: ordered[ordered.length - 1].id,
+    // A burst costs its most expensive message
+    quotaCost: Math.max(0, ...accepted.map(p => getTypeConfig(p.message.type)?.cost ?? 1)),
+    // Answered by voice in the mirror mode
+    voiceNote: accepted.some(p => p.message.type === 'audio'),
+    messageType: ordered.some(m => m.type === 'image') ? 'image' : ordered[ordered.length - 1].type
+  };
+}
 
-    logger.info(`Message processed with status: ${result.status}`);
-    return result;
+// Runs inside a queue worker for every stored message job, paywall and
+// error texts are sent in the user's language
+// job: the message_jobs row, its progress keeps retries from repeating replies
+async function processQueuedMessage({ from, messages }, job) {
+  const locale = await localeService.getUserLocale(from);
+  return tenantService.runWithLocale(locale, () => processMessages(from, messages, job));
+}
 
-  } catch (error) {
-    logger.error(`Error processing message: ${error.message}`);
-    logger.error(error.stack);
-    if (from) {
-      try {
-        await whatsapp.sendText(from, botConfig.errors.general);
-      } catch (sendError) {
-        logger.error(`Failed to send error message: ${sendError.message}`);
-      }
+async function processMessages(from, messages, job) {
+  const {
+    rejections, messageContent, messageForAI, mediaIds, messageType, messageId, quotaCost, voiceNote
+  } = await prepareMessages(from, messages);
+
+  // Voice messages over the limits get the tooLong reply, without the AI or a scan
+  await runJobStep(job, 'rejections', async () => {
+    for (const rejection of rejections) {
+      await whatsapp.sendText(from, rejection.text, { replyTo: rejection.messageId });
     }
+    return rejections.length;
+  });
+  if (messageForAI.length === 0) {
+    return { status: 'rejected' };
+  }
+
+  const handlers = {
+    resolvePlan: planService.resolvePlan,
+    consumeQuota: planService.consumeQuota,
+    getCheckoutUrl: paymentService.getCheckoutUrl,
+    findOrCreateUser: databaseService.findOrCreateUser,
+    getConversationContext: databaseService.getConversationContext,
+    attachHistoryImages,
+    getMemoryContext: memoryService.getMemoryContext,
+    summarizeConversation: memoryService.summarizeInBackground,
+    generateAIResponse: generateResponse,
+    sendWhatsAppMessage: whatsapp.sendText,
+    sendReply: voiceService.sendReply,
+    sendUrlButton: whatsapp.sendUrlButton,
+    sendQuotaReached: helpService.sendQuotaReached,
+    sendFollowUp: helpService.sendFollowUp,
+    saveMessage: databaseService.saveMessage
+  };
+
+  logger.info(`Processing ${messages.length} message(s) from ${from} with type ${messageType}`);
+
+  const result = await processMessageDirectly({
+    message: {
+      messageId,
+      messageContent,
+      messageForAI,
+      mediaIds,
+      quotaCost,
+      voiceNote
+    },
+    from,
+    messageType,
+    handlers,
+    job
+  });
+
+  logger.info(`Message processed with status: ${result.status}`);
+  return result;
+}
+
+// Called once a job has used up all its attempts, with the error of the last one.
+// Voice messages that couldn't be transcribed get their own text.
+async function handleFailedMessage({ from, messages }, error) {
+  try {
+    const lastMessage = messages?.[messages.length - 1];
+    const locale = await localeService.getUserLocale(from);
+    await tenantService.runWithLocale(locale, () => {
+      const config = tenantService.getConfig();
+      const text = error?.code === 'TRANSCRIPTION_FAILED' ? config.ai.prompts.audio.transcriptionError : config.errors.general;
+      return whatsapp.sendText(from, text, { replyTo: lastMessage?.id });
+    });
+  } catch (sendError) {
+    logger.error(`Failed to send error message: ${sendError.message}`);
   }
 }
 
-module.exports = { handleMessage };
+module.exports = { handleMessage, processQueuedMessage, handleFailedMessage };
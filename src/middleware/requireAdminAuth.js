@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+function getProvidedKey(req) {
+  const authorization = req.headers['authorization'] || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-api-key'];
+}
+
+function keysMatch(provided, expected) {
+  // Hash both sides so the comparison is constant-time regardless of length
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Accepts the admin key as a bearer token or in the X-API-Key header
+function requireAdminAuth(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    logger.error('Admin API key is not configured, rejecting admin request');
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const provided = getProvidedKey(req);
+  if (!provided || !keysMatch(provided, expected)) {
+    logger.info(`Rejected admin request to ${req.method} ${req.path}`);
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  // Optional name of the person behind the key, recorded in the audit trail
+  req.adminActor = req.headers['x-admin-actor'] || 'api-key';
+  next();
+}
+
+module.exports = { requireAdminAuth };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const botConfig = require('../config/botConfig');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Dev-mode bypass, never honoured in production
+function isVerificationDisabled() {
+  return process.env.NODE_ENV !== 'production' &&
+    process.env.WHATSAPP_SKIP_SIGNATURE_VERIFICATION === 'true';
+}
+
+function isValidSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const received = signatureHeader.slice(SIGNATURE_PREFIX.length);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// The app secret of the main Meta app plus those of tenants whose number is in another app
+function getAppSecrets() {
+  const secrets = [
+    process.env.WHATSAPP_APP_SECRET,
+    ...Object.values(botConfig.tenants).map(tenant => tenant.appSecret)
+  ];
+  return [...new Set(secrets.filter(Boolean))];
+}
+
+// Checks the X-Hub-Signature-256 header Meta sends with every webhook delivery
+function verifyWhatsAppSignature(req, res, next) {
+  if (isVerificationDisabled()) {
+    logger.info('Skipping WhatsApp signature verification (dev mode)');
+    return next();
+  }
+
+  const appSecrets = getAppSecrets();
+  if (appSecrets.length === 0) {
+    logger.error('WhatsApp app secret is not configured, rejecting webhook');
+    return res.sendStatus(401);
+  }
+
+  const signature = req.headers['x-hub-signature-256'];
+  if (!appSecrets.some(appSecret => isValidSignature(req.rawBody, signature, appSecret))) {
+    logger.info('Rejected WhatsApp webhook with missing or invalid signature');
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
+module.exports = { verifyWhatsAppSignature, isValidSignature };
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const databaseService = require('../services/databaseService');
+const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
+const tenantService = require('../services/tenantService');
+const { readMedia } = require('../services/mediaStorageService');
+const { requireAdminAuth } = require('../middleware/requireAdminAuth');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+// Admin actions apply to one tenant, chosen with the X-Tenant-Id header (the default tenant without it)
+function selectTenant(req, res, next) {
+  const tenantId = req.headers['x-tenant-id'] || tenantService.DEFAULT_TENANT;
+  if (!tenantService.getTenantIds().includes(tenantId)) {
+    return res.status(400).json({ success: false, error: 'Unknown tenant' });
+  }
+  tenantService.runWithTenant(tenantId, next);
+}
+
+router.use(requireAdminAuth);
+router.use(selectTenant);
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit <= 0) return fallback;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+function toAdminUser(user) {
+  return {
+    ...user,
+    has_access: paymentService.hasActiveSubscription(user),
+    effective_plan: planService.resolvePlan(user).name
+  };
+}
+
+// Every admin action is written to the audit trail before it runs, so no change goes
+// unrecorded. An action that then fails still shows up as attempted.
+async function audit(req, action, targetUserId, details) {
+  await databaseService.saveAdminAuditLog({
+    actor: req.adminActor,
+    action,
+    targetUserId,
+    details,
+    ip: req.ip
+  });
+}
+
+function handleError(res, action, error) {
+  logger.error(`Error in admin action ${action}: ${error.message}`);
+  res.status(500).json({ success: false, error: 'Internal error' });
+}
+
+router.get('/users', async (req, res) => {
+  try {
+    const search = (req.query.search || '').replace(/[%_,()]/g, '');
+    const limit = parseLimit(req.query.limit, 25);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    await audit(req, 'list_users', null, { search, limit, offset });
+    const { users, total } = await databaseService.listUsers({ search, limit, offset });
+
+    res.json({ success: true, total, users: users.map(toAdminUser) });
+  } catch (error) {
+    handleError(res, 'list_users', error);
+  }
+});
+
+router.get('/users/:userId', async (req, res) => {
+  try {
+    await audit(req, 'view_user', req.params.userId);
+    const user = await databaseService.getUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'view_user', error);
+  }
+});
+
+// Body: { "until": "2025-12-31T00:00:00Z" } (optional, grants forever without it)
+router.post('/users/:userId/access/grant', async (req, res) => {
+  try {
+    const until = req.body?.until || null;
+    if (until && Number.isNaN(Date.parse(until))) {
+      return res.status(400).json({ success: false, error: 'Invalid until date' });
+    }
+
+    await audit(req, 'grant_access', req.params.userId, { until });
+    const user = await databaseService.setAccessOverride(req.params.userId, 'granted', until);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'grant_access', error);
+  }
+});
+
+router.post('/users/:userId/access/revoke', async (req, res) => {
+  try {
+    await audit(req, 'revoke_access', req.params.userId);
+    const user = await databaseService.setAccessOverride(req.params.userId, 'revoked', null);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'revoke_access', error);
+  }
+});
+
+// Removes a manual grant or revoke, access follows Stripe again
+router.delete('/users/:userId/access', async (req, res) => {
+  try {
+    await audit(req, 'clear_access_override', req.params.userId);
+    const user = await databaseService.setAccessOverride(req.params.userId, null, null);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'clear_access_override', error);
+  }
+});
+
+// Body: { "plan": "unlimited", "expiresAt": "2025-12-31T00:00:00Z" }, plan null removes the assignment
+router.put('/users/:userId/plan', async (req, res) => {
+  try {
+    const plan = req.body?.plan || null;
+    const expiresAt = req.body?.expiresAt || null;
+    if (plan && !tenantService.getConfig().subscription.plans[plan]) {
+      return res.status(400).json({ success: false, error: 'Unknown plan' });
+    }
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({ success: false, error: 'Invalid expiresAt date' });
+    }
+
+    await audit(req, 'set_plan', req.params.userId, { plan, expiresAt });
+    const user = await databaseService.setPlan(req.params.userId, plan, expiresAt);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'set_plan', error);
+  }
+});
+
+router.post('/users/:userId/reset-quota', async (req, res) => {
+  try {
+    await audit(req, 'reset_quota', req.params.userId);
+    const user = await databaseService.resetMessageCount(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: toAdminUser(user) });
+  } catch (error) {
+    handleError(res, 'reset_quota', error);
+  }
+});
+
+// Query: ?limit=50&before=<id> to page back through the conversation
+router.get('/users/:userId/messages', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50);
+    const before = parseInt(req.query.before, 10) || null;
+
+    await audit(req, 'view_messages', req.params.userId, { limit, before });
+    const messages = await databaseService.getMessages(req.params.userId, { limit, before });
+
+    res.json({
+      success: true,
+      messages,
+      nextBefore: messages.length === limit ? messages[messages.length - 1].id : null
+    });
+  } catch (error) {
+    handleError(res, 'view_messages', error);
+  }
+});
+
+// Files the user sent, newest first. Query: ?limit=25&before=<id>
+router.get('/users/:userId/media', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 25);
+    const before = parseInt(req.query.before, 10) || null;
+
+    await audit(req, 'list_media', req.params.userId, { limit, before });
+    const media = await databaseService.listMediaFiles(req.params.userId, { limit, before });
+
+    res.json({
+      success: true,
+      media,
+      nextBefore: media.length === limit ? media[media.length - 1].id : null
+    });
+  } catch (error) {
+    handleError(res, 'list_media', error);
+  }
+});
+
+// The stored file itself, with its original MIME type. Ids come from the media list
+// or from the media_ids of a message.
+router.get('/media/:mediaId', async (req, res) => {
+  try {
+    const file = await databaseService.getMediaFile(parseInt(req.params.mediaId, 10) || 0);
+    await audit(req, 'view_media', file?.user_id || null, { mediaId: req.params.mediaId });
+
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+
+    const buffer = await readMedia(file);
+    res.set('Content-Type', file.mime_type);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(buffer);
+  } catch (error) {
+    handleError(res, 'view_media', error);
+  }
+});
+
+module.exports = router;
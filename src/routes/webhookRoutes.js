@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
+const paymentService = require('../services/paymentService');
+const { verifyWhatsAppSignature } = require('../middleware/verifyWhatsAppSignature');
 const logger = require('../utils/logger');
 
 logger.info('Webhook routes loaded');
@@ -31,17 +33,39 @@ router.get('/whatsapp', (req, res) => {
 });
 
 // New POST route for handling incoming WhatsApp messages
-router.post('/whatsapp', express.json(), async (req, res) => {
-  // Send 200 OK immediately
-  res.sendStatus(200);
-  
+router.post('/whatsapp', verifyWhatsAppSignature, async (req, res) => {
   logger.info('Received WhatsApp POST request');
   logger.info('Request body:', JSON.stringify(req.body, null, 2));
   
+  // Acknowledge only once every message is queued or answered, Meta retries on errors
   try {
-    await messageController.handleMessage(req);
+    const results = await messageController.handleMessage(req);
+    res.sendStatus(results.some(result => result.status === 'retry') ? 500 : 200);
   } catch (error) {
     logger.error('Error handling WhatsApp message:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Stripe webhook keeping subscription state in sync with the users table
+router.post('/stripe', async (req, res) => {
+  logger.info('Received Stripe POST request');
+
+  let event;
+  try {
+    event = paymentService.constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    logger.error(`Stripe webhook verification failed: ${error.message}`);
+    return res.sendStatus(400);
+  }
+
+  try {
+    await paymentService.handleWebhookEvent(event);
+    res.sendStatus(200);
+  } catch (error) {
+    // Non-2xx makes Stripe retry the delivery
+    logger.error('Error handling Stripe event:', error);
+    res.sendStatus(500);
   }
 });
 
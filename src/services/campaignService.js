@@ -0,0 +1,157 @@
+const databaseService = require('./databaseService');
+const whatsapp = require('./whatsappService');
+const logger = require('../utils/logger');
+const { getConfig, runWithTenant, runWithLocale } = require('./tenantService');
+const { getPlan } = require('./planService');
+const botConfig = require('../config/botConfig');
+
+const CAMPAIGN_CONFIG = botConfig.campaigns;
+
+let runningCampaign = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildComponents(bodyParameters) {
+  if (!bodyParameters || bodyParameters.length === 0) return [];
+  return [{
+    type: "body",
+    parameters: bodyParameters.map(text => ({ type: "text", text: String(text) }))
+  }];
+}
+
+// Returns 'sent', 'failed' or 'skipped'
+async function sendToRecipient(campaign, recipient) {
+  // Users can opt out while the campaign is running
+  if (await databaseService.isOptedOut(recipient.user_id)) {
+    await databaseService.updateCampaignRecipient(recipient.id, { status: 'skipped' });
+    return 'skipped';
+  }
+
+  const result = await whatsapp.sendTemplate(
+    recipient.user_id,
+    campaign.template_name,
+    campaign.language_code,
+    buildComponents(campaign.body_parameters)
+  );
+
+  const sent = result.status === 'success';
+  await databaseService.updateCampaignRecipient(recipient.id, {
+    status: sent ? 'sent' : 'failed',
+    message_id: result.messageId || null,
+    error: sent ? null : result.error,
+    sent_at: new Date().toISOString()
+  });
+  return sent ? 'sent' : 'failed';
+}
+
+async function runCampaign(campaign) {
+  logger.info(`Starting campaign ${campaign.id} (${campaign.name}) for audience ${campaign.audience}`);
+
+  const userIds = await databaseService.findAudienceUsers(campaign.audience, {
+    freeQuota: getPlan(getConfig().subscription.defaultPlan).quota,
+    inactiveDays: campaign.inactive_days || CAMPAIGN_CONFIG.inactiveDays
+  });
+  await databaseService.addCampaignRecipients(campaign.id, userIds);
+
+  // Spread the sends evenly to stay within the messaging limits
+  const perMinute = campaign.messages_per_minute || CAMPAIGN_CONFIG.messagesPerMinute;
+  const delay = Math.ceil(60000 / perMinute);
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  let lockedAt = Date.now();
+
+  for (;;) {
+    const recipients = await databaseService.getPendingCampaignRecipients(campaign.id, CAMPAIGN_CONFIG.batchSize);
+    if (recipients.length === 0) break;
+
+    for (const recipient of recipients) {
+      // Refresh the lock well before it goes stale, so no other instance resumes the campaign
+      if (Date.now() - lockedAt > CAMPAIGN_CONFIG.lockTimeout / 2) {
+        await databaseService.touchCampaign(campaign.id);
+        lockedAt = Date.now();
+      }
+
+      let outcome;
+      try {
+        outcome = await sendToRecipient(campaign, recipient);
+      } catch (error) {
+        // Leave the recipient failed rather than retrying it forever
+        outcome = 'failed';
+        logger.error(`Error sending campaign ${campaign.id} to ${recipient.user_id}: ${error.message}`);
+        await databaseService.updateCampaignRecipient(recipient.id, { status: 'failed', error: error.message })
+          .catch(() => {});
+      }
+      counts[outcome]++;
+      if (outcome !== 'skipped') await sleep(delay);
+    }
+  }
+
+  await databaseService.completeCampaign(campaign.id);
+  logger.info(`Campaign ${campaign.id} completed: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} opted out`);
+}
+
+async function runDueCampaigns() {
+  if (runningCampaign) return;
+  runningCampaign = true;
+
+  try {
+    const campaigns = await databaseService.findDueCampaigns(CAMPAIGN_CONFIG.lockTimeout);
+    for (const due of campaigns) {
+      const campaign = await databaseService.claimCampaign(due, CAMPAIGN_CONFIG.lockTimeout);
+      if (!campaign) continue;
+
+      try {
+        if (due.status === 'running') logger.info(`Resuming campaign ${campaign.id}, its last run stopped`);
+        // Sent from the campaign tenant's number to its users
+        await runWithTenant(campaign.tenant_id, () => runCampaign(campaign));
+      } catch (error) {
+        logger.error(`Campaign ${campaign.id} stopped: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error running campaigns: ${error.message}`);
+  } finally {
+    runningCampaign = false;
+  }
+}
+
+function startScheduler() {
+  setInterval(runDueCampaigns, CAMPAIGN_CONFIG.pollInterval);
+  logger.info('Campaign scheduler started');
+}
+
+// Keywords of every locale count, the user's language may not be detected yet
+function getKeywords(type) {
+  const { locales } = getConfig().localization;
+  return new Set(Object.keys(locales).flatMap(locale => runWithLocale(locale, () => getConfig().campaigns[type])));
+}
+
+// Returns true when the message was an opt-out or opt-in keyword and has been handled
+async function handleOptOutKeyword(message) {
+  if (message.type !== 'text') return false;
+
+  const keyword = message.text.body.trim().toLowerCase();
+  // The replies are sent in the user's locale
+  const { messages } = getConfig().campaigns;
+
+  if (getKeywords('optOutKeywords').has(keyword)) {
+    await databaseService.setOptOut(message.from, true);
+    await whatsapp.sendText(message.from, messages.optedOut, { replyTo: message.id });
+    logger.info(`User ${message.from} opted out of campaigns`);
+    return true;
+  }
+
+  if (getKeywords('optInKeywords').has(keyword)) {
+    await databaseService.setOptOut(message.from, false);
+    await whatsapp.sendText(message.from, messages.optedIn, { replyTo: message.id });
+    logger.info(`User ${message.from} opted in to campaigns`);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  startScheduler,
+  runDueCampaigns,
+  handleOptOutKeyword
+};
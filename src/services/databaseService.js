@@ -1,13 +1,25 @@
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
 const botConfig = require('../config/botConfig');
+const { getCurrentTenantId } = require('./tenantService');
+const { parseWhatsAppNumber } = require('../utils/phoneNumber');
+
+const USER_COLUMNS = 'tenant_id, user_id, message_count, is_subscribed, stripe_customer_id, subscription_status, subscription_period_end, subscription_price_id, access_override, access_override_until, plan, plan_expires_at, usage_count, usage_window, usage_period_start, country, country_calling_code, timezone, language, language_source, language_samples, voice_replies';
+const ADMIN_USER_COLUMNS = `${USER_COLUMNS}, last_message_at, opted_out, created_at`;
+
+// Country and calling code resolved from the number, null when it can't be parsed
+function getUserCountry(userId) {
+  const number = parseWhatsAppNumber(userId);
+  return { country: number?.country || null, country_calling_code: number?.callingCode || null };
+}
 
 async function findOrCreateUser(userId) {
   try {
     // Check if the user already exists
     const { data: userData, error: fetchError } = await supabase
       .from('users')
-      .select('user_id, message_count, is_subscribed')
+      .select(USER_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
       .eq('user_id', userId)
       .maybeSingle();
 
@@ -17,7 +29,8 @@ async function findOrCreateUser(userId) {
       // If user doesn't exist, create a new user
       const { data: newUser, error: insertError } = await supabase
         .from('users')
-        .insert({ user_id: userId, message_count: 0, is_subscribed: false })
+        .insert({ tenant_id: getCurrentTenantId(), user_id: userId, message_count: 0, is_subscribed: false, ...getUserCountry(userId) })
+        .select(USER_COLUMNS)
         .single();
 
       if (insertError) throw insertError;
@@ -25,6 +38,21 @@ async function findOrCreateUser(userId) {
       return newUser;
     }
 
+    // Users created before the country was stored get it on their next message
+    if (!userData.country_calling_code) {
+      const country = getUserCountry(userId);
+      if (country.country_calling_code) {
+        const { error: updateError } = await supabase
+          .from('users')
+          .update(country)
+          .eq('tenant_id', getCurrentTenantId())
+          .eq('user_id', userId);
+
+        if (updateError) throw updateError;
+        return { ...userData, ...country };
+      }
+    }
+
     return userData;
   } catch (error) {
     logger.error(`Error finding or creating user: ${error.message}`);
@@ -32,23 +60,24 @@ async function findOrCreateUser(userId) {
   }
 }
 
-async function incrementMessageCount(userId) {
+// Atomically resets the usage window when it rolled over and counts the message if the quota allows it.
+// Returns { allowed, used, quota }
+async function consumeMessageQuota(userId, window, quota, cost = 1) {
   try {
-    // Ensure the user exists or create a new user
-    const user = await findOrCreateUser(userId);
-
-    const newCount = user.message_count + 1;
-
-    // Update the message count
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ message_count: newCount })
-      .eq('user_id', userId);
+    const { data, error } = await supabase
+      .rpc('consume_message_quota', {
+        p_tenant_id: getCurrentTenantId(),
+        p_user_id: userId,
+        p_window: window,
+        p_quota: quota,
+        p_cost: cost
+      })
+      .single();
 
-    if (updateError) throw updateError;
-    return newCount;
+    if (error) throw error;
+    return data;
   } catch (error) {
-    logger.error(`Error incrementing message count: ${error.message}`);
+    logger.error(`Error consuming message quota: ${error.message}`);
     throw error;
   }
 }
@@ -58,6 +87,7 @@ async function checkSubscription(userId) {
     const { data, error } = await supabase
       .from('users')
       .select('is_subscribed')
+      .eq('tenant_id', getCurrentTenantId())
       .eq('user_id', userId)
       .single();
 
@@ -74,6 +104,7 @@ async function updateSubscription(userId, isSubscribed) {
     const { error } = await supabase
       .from('users')
       .update({ is_subscribed: isSubscribed })
+      .eq('tenant_id', getCurrentTenantId())
       .eq('user_id', userId);
 
     if (error) throw error;
@@ -83,31 +114,1102 @@ async function updateSubscription(userId, isSubscribed) {
   }
 }
 
-async function getConversationContext(userId) {
+async function setOptOut(userId, optedOut) {
+  try {
+    await findOrCreateUser(userId);
+
+    const { error } = await supabase
+      .from('users')
+      .update({ opted_out: optedOut, opted_out_at: optedOut ? new Date().toISOString() : null })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating opt-out: ${error.message}`);
+    throw error;
+  }
+}
+
+async function isOptedOut(userId) {
   try {
     const { data, error } = await supabase
-      .from('messages')
-      .select('role, content')
+      .from('users')
+      .select('opted_out')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data?.opted_out);
+  } catch (error) {
+    logger.error(`Error checking opt-out: ${error.message}`);
+    throw error;
+  }
+}
+
+async function setTimezone(userId, timezone) {
+  try {
+    await findOrCreateUser(userId);
+
+    const { error } = await supabase
+      .from('users')
+      .update({ timezone })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating timezone: ${error.message}`);
+    throw error;
+  }
+}
+
+// mode: off, mirror or always, null follows the tenant's default
+async function setVoiceReplies(userId, mode) {
+  try {
+    const { error } = await supabase
+      .from('users')
+      .update({ voice_replies: mode })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating voice replies: ${error.message}`);
+    throw error;
+  }
+}
+
+// fields: language, language_source and language_samples
+async function updateUserLanguage(userId, fields) {
+  try {
+    const { error } = await supabase
+      .from('users')
+      .update(fields)
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating language: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getUser(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select(ADMIN_USER_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
       .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting user: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listUsers({ search, limit, offset }) {
+  try {
+    let query = supabase
+      .from('users')
+      .select(ADMIN_USER_COLUMNS, { count: 'exact' })
+      .eq('tenant_id', getCurrentTenantId());
+
+    if (search) {
+      query = query.ilike('user_id', `%${search}%`);
+    }
+
+    const { data, error, count } = await query
       .order('created_at', { ascending: false })
-      .limit(botConfig.ai.contextMessageLimit || 10);
+      .range(offset, offset + limit - 1);
 
     if (error) throw error;
-    return data.reverse();
+    return { users: data, total: count };
   } catch (error) {
-    logger.error(`Error getting conversation context: ${error.message}`);
+    logger.error(`Error listing users: ${error.message}`);
+    throw error;
+  }
+}
+
+// override: 'granted', 'revoked' or null to fall back to the Stripe state
+async function setAccessOverride(userId, override, until) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ access_override: override, access_override_until: until || null })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .select(ADMIN_USER_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error setting access override: ${error.message}`);
+    throw error;
+  }
+}
+
+async function setPlan(userId, plan, expiresAt) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ plan, plan_expires_at: expiresAt || null })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .select(ADMIN_USER_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error setting plan: ${error.message}`);
+    throw error;
+  }
+}
+
+async function resetMessageCount(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ usage_count: 0, lifetime_usage_count: 0 })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .select(ADMIN_USER_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error resetting message count: ${error.message}`);
+    throw error;
+  }
+}
+
+// Newest first, pass the smallest id of the previous page as `before` for the next one
+async function getMessages(userId, { limit, before }) {
+  try {
+    let query = supabase
+      .from('messages')
+      .select('id, role, content, media_ids, created_at')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (before) {
+      query = query.lt('id', before);
+    }
+
+    const { data, error } = await query
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting messages: ${error.message}`);
+    throw error;
+  }
+}
+
+async function saveAdminAuditLog({ actor, action, targetUserId, details, ip }) {
+  try {
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert({
+        tenant_id: getCurrentTenantId(),
+        actor,
+        action,
+        target_user_id: targetUserId || null,
+        details: details || null,
+        ip: ip || null
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error saving admin audit log: ${error.message}`);
+    throw error;
+  }
+}
+
+async function findUserByStripeCustomerId(customerId) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select(USER_COLUMNS)
+      .eq('stripe_customer_id', customerId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error finding user by Stripe customer: ${error.message}`);
+    throw error;
+  }
+}
+
+async function updateStripeSubscription(userId, { customerId, status, periodEnd, priceId, isSubscribed }) {
+  try {
+    // Make sure a row exists, payments can arrive before the first message
+    await findOrCreateUser(userId);
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        stripe_customer_id: customerId,
+        subscription_status: status,
+        subscription_period_end: periodEnd,
+        subscription_price_id: priceId,
+        is_subscribed: isSubscribed
+      })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating Stripe subscription: ${error.message}`);
+    throw error;
+  }
+}
+
+// Inserting the WhatsApp message ID is atomic, so only one delivery (or instance) wins the claim
+async function claimInboundMessage(messageId, userId) {
+  try {
+    const expiresAt = new Date(Date.now() + botConfig.whatsapp.processedMessageTtl).toISOString();
+    const { error } = await supabase
+      .from('processed_messages')
+      .insert({ message_id: messageId, user_id: userId, expires_at: expiresAt });
+
+    if (error) {
+      // Unique violation: the message was already processed
+      if (error.code === '23505') return false;
+      throw error;
+    }
+    return true;
+  } catch (error) {
+    logger.error(`Error claiming inbound message: ${error.message}`);
+    throw error;
+  }
+}
+
+// Undoes the claim of a message that could not be handled, so Meta's retry is processed
+async function releaseInboundMessage(messageId) {
+  try {
+    const { error } = await supabase
+      .from('processed_messages')
+      .delete()
+      .eq('message_id', messageId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error releasing inbound message: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deleteExpiredProcessedMessages() {
+  try {
+    const { error } = await supabase
+      .from('processed_messages')
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error deleting expired processed messages: ${error.message}`);
+    throw error;
+  }
+}
+
+async function saveOutboundMessage({ messageId, userId, replyTo, type, content, status, error: sendError }) {
+  try {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('outbound_messages')
+      .insert({
+        tenant_id: getCurrentTenantId(),
+        message_id: messageId || null,
+        user_id: userId,
+        reply_to_message_id: replyTo || null,
+        message_type: type,
+        content,
+        status,
+        error: sendError || null,
+        sent_at: status === 'failed' ? null : now,
+        failed_at: status === 'failed' ? now : null
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error saving outbound message: ${error.message}`);
+    throw error;
+  }
+}
+
+// Spoken text of the newest voice reply the user received
+async function getLastVoiceReplyContent(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_messages')
+      .select('content')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('message_type', 'audio')
+      .neq('status', 'failed')
+      .order('id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.content : null;
+  } catch (error) {
+    logger.error(`Error getting last voice reply: ${error.message}`);
+    throw error;
+  }
+}
+
+// Text of a message we sent, e.g. the one a user reacted to
+async function getOutboundMessageContent(messageId) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_messages')
+      .select('content')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('message_id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.content || null;
+  } catch (error) {
+    logger.error(`Error getting outbound message: ${error.message}`);
+    throw error;
+  }
+}
+
+// Statuses can arrive out of order, so a status only replaces the ones that come before it
+const PRECEDING_STATUSES = {
+  sent: ['accepted'],
+  delivered: ['accepted', 'sent'],
+  read: ['accepted', 'sent', 'delivered'],
+  failed: ['accepted', 'sent', 'delivered']
+};
+
+async function updateOutboundMessageStatus(status) {
+  const preceding = PRECEDING_STATUSES[status.status];
+  if (!preceding) return;
+
+  const { error } = await supabase
+    .from('outbound_messages')
+    .update({
+      status: status.status,
+      [`${status.status}_at`]: new Date(Number(status.timestamp) * 1000).toISOString(),
+      ...(status.errors ? { error: status.errors } : {})
+    })
+    .eq('message_id', status.id)
+    .in('status', preceding);
+
+  if (error) throw error;
+}
+
+// Redelivered webhooks repeat statuses that were already saved, those are skipped
+async function saveMessageStatus(status) {
+  try {
+    const { error } = await supabase
+      .from('message_statuses')
+      .upsert({
+        message_id: status.id,
+        recipient_id: status.recipient_id,
+        status: status.status,
+        errors: status.errors || null,
+        status_at: new Date(Number(status.timestamp) * 1000).toISOString()
+      }, { onConflict: 'message_id,status', ignoreDuplicates: true });
+
+    if (error) throw error;
+    await updateOutboundMessageStatus(status);
+  } catch (error) {
+    logger.error(`Error saving message status: ${error.message}`);
     throw error;
   }
 }
 
-async function saveMessage(userId, userMessage, aiResponse) {
+// Adds the message to the user's pending job while the debounce window is open, otherwise creates a new job
+async function enqueueMessageJob(userId, message, { debounceWindow, maxWait, maxAttempts }) {
   try {
+    const { data, error } = await supabase.rpc('enqueue_message_job', {
+      p_tenant_id: getCurrentTenantId(),
+      p_user_id: userId,
+      p_message: message,
+      p_debounce_seconds: debounceWindow / 1000,
+      p_max_wait_seconds: maxWait / 1000,
+      p_max_attempts: maxAttempts
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error enqueueing job: ${error.message}`);
+    throw error;
+  }
+}
+
+// Claims the oldest due job per user, so each user's messages are processed in order.
+// Jobs of all tenants, each job carries its tenant_id
+async function claimJobs(limit, lockTimeout) {
+  try {
+    const { data, error } = await supabase.rpc('claim_message_jobs', {
+      batch_size: limit,
+      lock_timeout_seconds: Math.ceil(lockTimeout / 1000)
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.error(`Error claiming jobs: ${error.message}`);
+    throw error;
+  }
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('message_jobs')
+    .update({ ...fields, locked_at: null })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+// Keeps the job locked, the steps recorded so far are skipped when it is retried
+async function saveJobProgress(jobId, progress) {
+  try {
+    const { error } = await supabase
+      .from('message_jobs')
+      .update({ progress })
+      .eq('id', jobId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error saving job progress: ${error.message}`);
+    throw error;
+  }
+}
+
+async function completeJob(jobId) {
+  try {
+    await updateJob(jobId, { status: 'completed' });
+  } catch (error) {
+    logger.error(`Error completing job: ${error.message}`);
+    throw error;
+  }
+}
+
+async function retryJob(jobId, lastError, runAt) {
+  try {
+    await updateJob(jobId, { status: 'pending', last_error: lastError, run_at: runAt });
+  } catch (error) {
+    logger.error(`Error rescheduling job: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deadLetterJob(jobId, lastError) {
+  try {
+    await updateJob(jobId, { status: 'dead', last_error: lastError });
+  } catch (error) {
+    logger.error(`Error dead-lettering job: ${error.message}`);
+    throw error;
+  }
+}
+
+// Campaigns left running by an instance that stopped are due again once their lock is stale
+function dueCampaignFilter(lockTimeout) {
+  const staleBefore = new Date(Date.now() - lockTimeout).toISOString();
+  return `status.eq.scheduled,and(status.eq.running,or(locked_at.is.null,locked_at.lt.${staleBefore}))`;
+}
+
+async function findDueCampaigns(lockTimeout) {
+  try {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .select('*')
+      .or(dueCampaignFilter(lockTimeout))
+      .lte('scheduled_at', new Date().toISOString())
+      .order('scheduled_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error finding due campaigns: ${error.message}`);
+    throw error;
+  }
+}
+
+// Conditional update, so only one instance starts (or resumes) a campaign
+async function claimCampaign(campaign, lockTimeout) {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update({ status: 'running', started_at: campaign.started_at || now, locked_at: now })
+      .eq('id', campaign.id)
+      .or(dueCampaignFilter(lockTimeout))
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error claiming campaign: ${error.message}`);
+    throw error;
+  }
+}
+
+// Keeps the lock of a running campaign fresh
+async function touchCampaign(campaignId) {
+  try {
+    const { error } = await supabase
+      .from('campaigns')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', campaignId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error refreshing campaign lock: ${error.message}`);
+    throw error;
+  }
+}
+
+async function completeCampaign(campaignId) {
+  try {
+    const { error } = await supabase
+      .from('campaigns')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', campaignId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error completing campaign: ${error.message}`);
+    throw error;
+  }
+}
+
+// Opted-out users are never part of an audience
+async function findAudienceUsers(audience, { freeQuota, inactiveDays }) {
+  try {
+    const pageSize = 1000;
+    const userIds = [];
+
+    for (let from = 0; ; from += pageSize) {
+      let query = supabase
+        .from('users')
+        .select('user_id')
+        .eq('tenant_id', getCurrentTenantId())
+        .eq('opted_out', false);
+
+      if (audience === 'free_over_limit') {
+        query = query.eq('is_subscribed', false).is('plan', null).gte('usage_count', freeQuota);
+      } else if (audience === 'inactive_subscribers') {
+        const cutoff = new Date(Date.now() - inactiveDays * 24 * 60 * 60 * 1000).toISOString();
+        // Subscribers who never wrote are inactive too
+        query = query.eq('is_subscribed', true).or(`last_message_at.is.null,last_message_at.lt.${cutoff}`);
+      } else if (audience !== 'all') {
+        throw new Error(`Unknown campaign audience: ${audience}`);
+      }
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      userIds.push(...data.map(user => user.user_id));
+      if (data.length < pageSize) break;
+    }
+
+    return userIds;
+  } catch (error) {
+    logger.error(`Error finding campaign audience: ${error.message}`);
+    throw error;
+  }
+}
+
+async function addCampaignRecipients(campaignId, userIds) {
+  try {
+    if (userIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('campaign_recipients')
+      .upsert(
+        userIds.map(userId => ({ campaign_id: campaignId, tenant_id: getCurrentTenantId(), user_id: userId })),
+        { onConflict: 'campaign_id,user_id', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error adding campaign recipients: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getPendingCampaignRecipients(campaignId, limit) {
+  try {
+    const { data, error } = await supabase
+      .from('campaign_recipients')
+      .select('id, user_id')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting campaign recipients: ${error.message}`);
+    throw error;
+  }
+}
+
+async function updateCampaignRecipient(recipientId, fields) {
+  try {
+    const { error } = await supabase
+      .from('campaign_recipients')
+      .update(fields)
+      .eq('id', recipientId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating campaign recipient: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getUserMemory(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('user_memories')
+      .select('user_id, summary, facts, summarized_until_id, updated_at')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting user memory: ${error.message}`);
+    throw error;
+  }
+}
+
+// Only succeeds when nobody else summarized in the meantime, returns false otherwise
+async function saveUserMemory(userId, { summary, facts, summarizedUntilId }, previousUntilId) {
+  try {
+    const row = { summary, facts, summarized_until_id: summarizedUntilId, updated_at: new Date().toISOString() };
+
+    if (previousUntilId === null) {
+      const { error } = await supabase
+        .from('user_memories')
+        .insert({ tenant_id: getCurrentTenantId(), user_id: userId, ...row });
+
+      if (error?.code === '23505') return false;
+      if (error) throw error;
+      return true;
+    }
+
+    const { data, error } = await supabase
+      .from('user_memories')
+      .update(row)
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('summarized_until_id', previousUntilId)
+      .select('user_id');
+
+    if (error) throw error;
+    return data.length > 0;
+  } catch (error) {
+    logger.error(`Error saving user memory: ${error.message}`);
+    throw error;
+  }
+}
+
+async function clearUserMemory(userId, summarizedUntilId) {
+  try {
+    const { error } = await supabase
+      .from('user_memories')
+      .upsert({
+        tenant_id: getCurrentTenantId(),
+        user_id: userId,
+        summary: null,
+        facts: {},
+        summarized_until_id: summarizedUntilId,
+        updated_at: new Date().toISOString()
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error clearing user memory: ${error.message}`);
+    throw error;
+  }
+}
+
+// Messages after the summarized part of the conversation, oldest first
+async function getMessagesAfter(userId, afterId, limit) {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id, role, content')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting messages: ${error.message}`);
+    throw error;
+  }
+}
+
+async function countMessagesAfter(userId, afterId) {
+  try {
+    const { count, error } = await supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .gt('id', afterId);
+
+    if (error) throw error;
+    return count;
+  } catch (error) {
+    logger.error(`Error counting messages: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getLatestMessageId(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .order('id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.id : 0;
+  } catch (error) {
+    logger.error(`Error getting latest message: ${error.message}`);
+    throw error;
+  }
+}
+
+async function createCareReminder({ userId, plant, task, remindAt, timezone, repeatInterval, repeatUnit, repeatAnchorDay }) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .insert({
+        tenant_id: getCurrentTenantId(),
+        user_id: userId,
+        plant,
+        task,
+        remind_at: remindAt,
+        timezone,
+        repeat_interval: repeatInterval,
+        repeat_unit: repeatUnit,
+        repeat_anchor_day: repeatAnchorDay
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error creating care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listCareReminders(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .select('*')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .order('remind_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error listing care reminders: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getCareReminder(userId, reminderId) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .select('*')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('id', reminderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getLastSentCareReminder(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .select('*')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .not('last_sent_at', 'is', null)
+      .order('last_sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting last care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+// Returns the cancelled reminder, or null when the user has no such pending reminder
+async function cancelCareReminder(userId, reminderId) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .update({ status: 'cancelled' })
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('id', reminderId)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error cancelling care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+async function updateCareReminder(reminderId, fields) {
+  try {
+    const { error } = await supabase
+      .from('care_reminders')
+      .update(fields)
+      .eq('id', reminderId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error updating care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+// Includes the user's last message time to decide between a text and a template
+async function findDueCareReminders(limit) {
+  try {
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .select('*, users(last_message_at, language)')
+      .eq('status', 'pending')
+      .lte('remind_at', new Date().toISOString())
+      .order('remind_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error finding due care reminders: ${error.message}`);
+    throw error;
+  }
+}
+
+// Claims a due reminder before it is sent, so parallel instances send it only once.
+// Repeating reminders move on to nextRemindAt, the others are marked sent.
+async function claimCareReminder(reminder, nextRemindAt) {
+  try {
+    const now = new Date().toISOString();
+    const fields = nextRemindAt
+      ? { remind_at: nextRemindAt, last_sent_at: now }
+      : { status: 'sent', last_sent_at: now };
+
+    const { data, error } = await supabase
+      .from('care_reminders')
+      .update(fields)
+      .eq('id', reminder.id)
+      .eq('status', 'pending')
+      .eq('remind_at', reminder.remind_at)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data);
+  } catch (error) {
+    logger.error(`Error claiming care reminder: ${error.message}`);
+    throw error;
+  }
+}
+
+const MEDIA_COLUMNS = 'id, tenant_id, user_id, sha256, mime_type, size, storage, path, whatsapp_media_id, created_at';
+
+// The same file sent twice by a user is only stored once
+async function findMediaFile(userId, sha256) {
+  try {
+    const { data, error } = await supabase
+      .from('media_files')
+      .select(MEDIA_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .eq('sha256', sha256)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error finding media file: ${error.message}`);
+    throw error;
+  }
+}
+
+async function saveMediaFile({ userId, sha256, mimeType, size, storage, path, whatsappMediaId }) {
+  try {
+    const { data, error } = await supabase
+      .from('media_files')
+      .upsert({
+        tenant_id: getCurrentTenantId(),
+        user_id: userId,
+        sha256,
+        mime_type: mimeType,
+        size,
+        storage,
+        path,
+        whatsapp_media_id: whatsappMediaId
+      }, { onConflict: 'tenant_id,user_id,sha256' })
+      .select(MEDIA_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error saving media file: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getMediaFiles(ids) {
+  try {
+    const { data, error } = await supabase
+      .from('media_files')
+      .select(MEDIA_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
+      .in('id', ids);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting media files: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getMediaFile(id) {
+  try {
+    const { data, error } = await supabase
+      .from('media_files')
+      .select(MEDIA_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error getting media file: ${error.message}`);
+    throw error;
+  }
+}
+
+// Newest first, for the admin API
+async function listMediaFiles(userId, { limit, before }) {
+  try {
+    let query = supabase
+      .from('media_files')
+      .select(MEDIA_COLUMNS)
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId);
+
+    if (before) {
+      query = query.lt('id', before);
+    }
+
+    const { data, error } = await query
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error(`Error listing media files: ${error.message}`);
+    throw error;
+  }
+}
+
+// Messages up to afterId are covered by the user's memory and left out
+async function getConversationContext(userId, afterId = 0) {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('role, content, media_ids')
+      .eq('tenant_id', getCurrentTenantId())
+      .eq('user_id', userId)
+      .gt('id', afterId)
+      // A turn is saved in one insert, both rows share created_at and only the id keeps them in order
+      .order('id', { ascending: false })
+      .limit(botConfig.ai.context.maxHistoryMessages);
+
+    if (error) throw error;
+    return data.reverse();
+  } catch (error) {
+    logger.error(`Error getting conversation context: ${error.message}`);
+    throw error;
+  }
+}
+
+// Pass no aiResponse when the reply never reached the user, mediaIds are the
+// media_files rows of what the user sent
+async function saveMessage(userId, userMessage, aiResponse, mediaIds = []) {
+  try {
+    const tenantId = getCurrentTenantId();
+    const rows = [{ tenant_id: tenantId, user_id: userId, role: 'user', content: userMessage, media_ids: mediaIds }];
+    if (aiResponse) {
+      rows.push({ tenant_id: tenantId, user_id: userId, role: 'assistant', content: aiResponse });
+    }
+
     const { error } = await supabase
       .from('messages')
-      .insert([
-        { user_id: userId, role: 'user', content: userMessage },
-        { user_id: userId, role: 'assistant', content: aiResponse }
-      ]);
+      .insert(rows);
 
     if (error) throw error;
   } catch (error) {
@@ -119,9 +1221,63 @@ async function saveMessage(userId, userMessage, aiResponse) {
 
 module.exports = { 
   findOrCreateUser,
-  incrementMessageCount, 
+  consumeMessageQuota, 
   checkSubscription, 
   updateSubscription, 
+  setOptOut,
+  isOptedOut,
+  setTimezone,
+  setVoiceReplies,
+  updateUserLanguage,
+  getUser,
+  listUsers,
+  setAccessOverride,
+  setPlan,
+  resetMessageCount,
+  getMessages,
+  saveAdminAuditLog,
+  findUserByStripeCustomerId,
+  updateStripeSubscription,
+  claimInboundMessage,
+  releaseInboundMessage,
+  deleteExpiredProcessedMessages,
+  saveOutboundMessage,
+  getOutboundMessageContent,
+  getLastVoiceReplyContent,
+  saveMessageStatus,
+  enqueueMessageJob,
+  claimJobs,
+  saveJobProgress,
+  completeJob,
+  retryJob,
+  deadLetterJob,
+  findDueCampaigns,
+  claimCampaign,
+  touchCampaign,
+  completeCampaign,
+  findAudienceUsers,
+  addCampaignRecipients,
+  getPendingCampaignRecipients,
+  updateCampaignRecipient,
+  getUserMemory,
+  saveUserMemory,
+  clearUserMemory,
+  getMessagesAfter,
+  countMessagesAfter,
+  getLatestMessageId,
+  createCareReminder,
+  listCareReminders,
+  getCareReminder,
+  getLastSentCareReminder,
+  cancelCareReminder,
+  updateCareReminder,
+  findDueCareReminders,
+  claimCareReminder,
+  findMediaFile,
+  saveMediaFile,
+  getMediaFiles,
+  getMediaFile,
+  listMediaFiles,
   getConversationContext, 
   saveMessage
 };
\ No newline at end of file
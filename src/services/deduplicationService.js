@@ -0,0 +1,42 @@
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+const botConfig = require('../config/botConfig');
+
+async function purgeExpiredMessages() {
+  try {
+    await databaseService.deleteExpiredProcessedMessages();
+  } catch (error) {
+    logger.error(`Error purging processed messages: ${error.message}`);
+  }
+}
+
+// Purge expired message IDs so the table stays small
+function startPurge() {
+  setInterval(purgeExpiredMessages, botConfig.whatsapp.processedMessageCleanupInterval);
+  logger.info('Processed message purge started');
+}
+
+// Meta retries webhook deliveries, so the same wamid can arrive more than once
+async function isDuplicateMessage(message) {
+  if (!message.id) return false;
+
+  const claimed = await databaseService.claimInboundMessage(message.id, message.from);
+  if (!claimed) {
+    logger.info(`Skipping already processed message: ${message.id}`);
+  }
+  return !claimed;
+}
+
+// The webhook is answered with an error after this, so Meta delivers the message again
+async function releaseMessage(message) {
+  if (!message.id) return;
+
+  try {
+    await databaseService.releaseInboundMessage(message.id);
+    logger.info(`Released message ${message.id} for redelivery`);
+  } catch (error) {
+    logger.error(`Failed to release message ${message.id}: ${error.message}`);
+  }
+}
+
+module.exports = { startPurge, isDuplicateMessage, releaseMessage };
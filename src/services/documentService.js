@@ -0,0 +1,35 @@
+// pdf-parse/index.js runs a self-test when loaded directly, the library itself doesn't
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const logger = require('../utils/logger');
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/markdown', 'application/json'];
+
+function isImageDocument(mimeType) {
+  return (mimeType || '').startsWith('image/');
+}
+
+// Text of a PDF or plain-text document, cut to maxLength characters.
+// Returns an empty string for scanned PDFs without a text layer.
+async function extractDocumentText(buffer, mimeType, maxLength) {
+  try {
+    let text;
+    if (mimeType === 'application/pdf') {
+      text = (await pdfParse(buffer)).text;
+    } else if (TEXT_TYPES.includes(mimeType)) {
+      text = buffer.toString('utf8');
+    } else {
+      throw new Error(`Cannot extract text from ${mimeType}`);
+    }
+
+    text = text.replace(/\n{3,}/g, '\n\n').trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength)}\n[...]` : text;
+  } catch (error) {
+    logger.error(`Error extracting document text: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  isImageDocument,
+  extractDocumentText
+};
@@ -0,0 +1,124 @@
+const databaseService = require('./databaseService');
+const paymentService = require('./paymentService');
+const planService = require('./planService');
+const whatsapp = require('./whatsappService');
+const logger = require('../utils/logger');
+const { getConfig } = require('./tenantService');
+
+// IDs of our reply buttons and list rows, a tap comes back with the same ID
+const BUTTON_IDS = { scanAnother: 'scan_another', subscribe: 'subscribe', help: 'help' };
+const TOPIC_PREFIX = 'help_';
+
+function button(key) {
+  return { id: BUTTON_IDS[key], title: getConfig().help.messages.buttons[key] };
+}
+
+// Plans sold through Stripe are already paid, unlimited ones (testers) have nothing to buy
+function canSubscribe(plan) {
+  return !plan.stripePriceIds && plan.quota !== null;
+}
+
+async function sendMenu(to, replyTo) {
+  const { menu, menuButton, topics } = getConfig().help.messages;
+  const rows = Object.entries(topics).map(([key, topic]) => ({
+    id: `${TOPIC_PREFIX}${key}`,
+    title: topic.title,
+    description: topic.description
+  }));
+
+  const result = await whatsapp.sendList(to, menu, menuButton, [{ rows }], { replyTo });
+  // Without the list the topics are still readable as text
+  if (result.status !== 'success') {
+    await whatsapp.sendText(to, Object.values(topics).map(topic => topic.text).join('\n\n'), { replyTo });
+  }
+}
+
+// Opens the checkout as a link button, like the paywall
+async function sendCheckout(to, replyTo) {
+  const { subscription, help } = getConfig();
+  const user = await databaseService.findOrCreateUser(to);
+  const checkoutUrl = await paymentService.getCheckoutUrl(user);
+
+  const result = await whatsapp.sendUrlButton(to, help.messages.subscribe, subscription.messages.upgradeButton, checkoutUrl, { replyTo });
+  if (result.status !== 'success') {
+    await whatsapp.sendText(to, `${help.messages.subscribe} ${checkoutUrl}`, { replyTo });
+  }
+}
+
+// Local advice asks for the location, plans offer to subscribe, the rest is text
+async function sendTopic(to, key, replyTo) {
+  const { text } = getConfig().help.messages.topics[key];
+  let result = null;
+
+  if (key === 'location') {
+    result = await whatsapp.sendLocationRequest(to, text, { replyTo });
+  } else if (key === 'plans' && canSubscribe(planService.resolvePlan(await databaseService.findOrCreateUser(to)))) {
+    result = await whatsapp.sendButtons(to, text, [button('subscribe')], { replyTo });
+  }
+
+  // Also sent when the location request or the button could not be sent
+  if (result?.status !== 'success') {
+    await whatsapp.sendText(to, text, { replyTo });
+  }
+}
+
+// Returns true when the message was the help command and has been handled
+async function handleHelpCommand(message) {
+  if (message.type !== 'text') return false;
+  if (message.text.body.trim().toLowerCase() !== getConfig().help.command) return false;
+
+  await sendMenu(message.from, message.id);
+  return true;
+}
+
+// Returns true when the message was a tap on one of our buttons or help topics and has been handled.
+// Other button and list replies go to the AI like text.
+async function handleHelpReply(message) {
+  if (message.type !== 'interactive') return false;
+
+  const reply = message.interactive.button_reply || message.interactive.list_reply;
+  const id = reply?.id || '';
+  const topic = id.startsWith(TOPIC_PREFIX) ? id.slice(TOPIC_PREFIX.length) : null;
+
+  if (topic && Object.hasOwn(getConfig().help.messages.topics, topic)) {
+    await sendTopic(message.from, topic, message.id);
+  } else if (id === BUTTON_IDS.help) {
+    await sendMenu(message.from, message.id);
+  } else if (id === BUTTON_IDS.scanAnother) {
+    await whatsapp.sendText(message.from, getConfig().help.messages.scanAnother, { replyTo: message.id });
+  } else if (id === BUTTON_IDS.subscribe) {
+    await sendCheckout(message.from, message.id);
+  } else {
+    return false;
+  }
+
+  logger.info(`Answered ${id} from ${message.from}`);
+  return true;
+}
+
+// Buttons under an answer to a photo. They are optional, a failed send is only logged.
+async function sendFollowUp(to, plan, { replyTo } = {}) {
+  const { followUpButtons, messages } = getConfig().help;
+  if (!followUpButtons) return null;
+
+  const buttons = [button('scanAnother'), ...(canSubscribe(plan) ? [button('subscribe')] : []), button('help')];
+  const result = await whatsapp.sendButtons(to, messages.followUp, buttons, { replyTo });
+  if (result.status !== 'success') {
+    logger.error(`Follow-up buttons to ${to} could not be sent: ${result.error}`);
+  }
+  return result;
+}
+
+// Paid plans that used up their scans can still open the help topics
+async function sendQuotaReached(to, text, { replyTo } = {}) {
+  const result = await whatsapp.sendButtons(to, text, [button('help')], { replyTo });
+  // Fall back to plain text when the buttons could not be sent
+  return result.status === 'success' ? result : whatsapp.sendText(to, text, { replyTo });
+}
+
+module.exports = {
+  handleHelpCommand,
+  handleHelpReply,
+  sendFollowUp,
+  sendQuotaReached
+};
@@ -0,0 +1,100 @@
+const databaseService = require('./databaseService');
+const whatsapp = require('./whatsappService');
+const logger = require('../utils/logger');
+const { getConfig, getCurrentLocale, runWithLocale } = require('./tenantService');
+const { detectLanguage } = require('../utils/languageDetector');
+
+// Commands are left out, their syntax is the same in every language
+function getMessageText(message) {
+  if (message.type === 'text') return message.text.body.trim().startsWith('/') ? '' : message.text.body;
+  if (message.type === 'image') return message.image.caption || '';
+  return '';
+}
+
+// Locale of the message text, null when it's too short or unclear
+function detectMessageLanguage(message) {
+  const { locales, minDetectionScore } = getConfig().localization;
+  return detectLanguage(getMessageText(message), locales, minDetectionScore);
+}
+
+// Returns the locale for the system messages sent to this user. Until the user picks one
+// with the language command, it is detected from their first text messages.
+async function resolveLocale(message) {
+  const { detectionMessages } = getConfig().localization;
+  const user = await databaseService.findOrCreateUser(message.from);
+
+  const detecting = user.language_source !== 'user' && user.language_samples < detectionMessages;
+  if (!detecting || !getMessageText(message)) {
+    return user.language;
+  }
+
+  // Messages too short or unclear to tell don't use up one of the samples
+  const language = detectMessageLanguage(message);
+  if (!language) {
+    return user.language;
+  }
+
+  await databaseService.updateUserLanguage(message.from, {
+    language,
+    language_source: 'detected',
+    language_samples: user.language_samples + 1
+  });
+
+  if (language !== user.language) {
+    logger.info(`Detected language ${language} for ${message.from}`);
+  }
+  return language;
+}
+
+async function getUserLocale(userId) {
+  const user = await databaseService.findOrCreateUser(userId);
+  return user.language;
+}
+
+// Accepts a locale code (de, pt-BR) or the name of the language (Deutsch)
+function findLocale(choice, locales) {
+  const code = choice.split(/[-_]/)[0];
+  return Object.keys(locales).find(locale =>
+    locale === code || locales[locale].name.toLowerCase() === choice);
+}
+
+async function runCommand(choice, message) {
+  const { locales, messages } = getConfig().localization;
+  const options = Object.entries(locales).map(([code, locale]) => `${code} (${locale.name})`).join(', ');
+
+  if (!choice) {
+    return messages.current(locales[getCurrentLocale()].name, options);
+  }
+
+  if (choice === 'auto') {
+    await databaseService.updateUserLanguage(message.from, { language_source: null, language_samples: 0 });
+    return messages.auto;
+  }
+
+  const locale = findLocale(choice, locales);
+  if (!locale) return messages.unknown(options);
+
+  await databaseService.updateUserLanguage(message.from, { language: locale, language_source: 'user' });
+  logger.info(`User ${message.from} chose language ${locale}`);
+  // Confirmed in the new language
+  return runWithLocale(locale, () => getConfig().localization.messages.changed(locales[locale].name));
+}
+
+// Returns true when the message was the language command and has been handled
+async function handleLanguageCommand(message) {
+  if (message.type !== 'text') return false;
+
+  const [command, ...rest] = message.text.body.trim().split(/\s+/);
+  if (command.toLowerCase() !== getConfig().localization.command) return false;
+
+  const reply = await runCommand(rest.join(' ').toLowerCase(), message);
+  await whatsapp.sendText(message.from, reply, { replyTo: message.id });
+  return true;
+}
+
+module.exports = {
+  detectMessageLanguage,
+  resolveLocale,
+  getUserLocale,
+  handleLanguageCommand
+};
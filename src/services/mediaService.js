@@ -0,0 +1,66 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getCurrentTenant } = require('./tenantService');
+const botConfig = require('../config/botConfig');
+
+function authHeaders() {
+  return { 'Authorization': `Bearer ${getCurrentTenant().accessToken}` };
+}
+
+// Metadata of an uploaded WhatsApp file: { url, mime_type, file_size, sha256 }
+async function getMediaInfo(mediaId) {
+  try {
+    const response = await axios.get(`${botConfig.whatsapp.endpoints.mediaUrl}/${mediaId}`, {
+      headers: authHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    logger.error(`Error getting media info: ${error.message}`);
+    throw error;
+  }
+}
+
+// The media URL from getMediaInfo only works with the access token
+async function downloadMedia(url) {
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      headers: authHeaders()
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    logger.error(`Error downloading media: ${error.message}`);
+    throw error;
+  }
+}
+
+// Uploads a file for sending, returns the media ID to use in a message
+async function uploadMedia(buffer, mimeType, filename) {
+  try {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+    const response = await axios.post(
+      `${botConfig.whatsapp.endpoints.mediaUrl}/${getCurrentTenant().phoneNumberId}/media`,
+      form,
+      { headers: authHeaders() }
+    );
+    return response.data.id;
+  } catch (error) {
+    logger.error(`Error uploading media: ${error.message}`);
+    throw error;
+  }
+}
+
+function toDataUrl(buffer, mimeType) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+module.exports = {
+  getMediaInfo,
+  downloadMedia,
+  uploadMedia,
+  toDataUrl
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+const { getStorage } = require('./storage');
+const { getConfig, getCurrentTenantId } = require('./tenantService');
+const { toDataUrl } = require('./mediaService');
+
+// Keeps a file the user sent. Returns its media_files row, or null when storage is
+// off, the file is too large or it could not be saved: the message is answered anyway.
+async function storeUserMedia(userId, { buffer, mimeType, mediaId }) {
+  const { enabled, driver, maxSize } = getConfig().storage;
+  if (!enabled) return null;
+
+  if (buffer.length > maxSize) {
+    logger.info(`Not storing ${mimeType} from ${userId}: ${buffer.length} bytes is over the ${maxSize} byte limit`);
+    return null;
+  }
+
+  try {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = await databaseService.findMediaFile(userId, sha256);
+    if (existing) return existing;
+
+    const path = `${getCurrentTenantId()}/${userId}/${sha256}`;
+    await getStorage(driver).save(path, buffer, mimeType);
+
+    return await databaseService.saveMediaFile({
+      userId,
+      sha256,
+      mimeType,
+      size: buffer.length,
+      storage: driver,
+      path,
+      whatsappMediaId: mediaId
+    });
+  } catch (error) {
+    logger.error(`Error storing media from ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+async function readMedia(file) {
+  return getStorage(file.storage).read(file.path);
+}
+
+// Missing files only cost the image, the text of the turn stays in the history
+async function loadImage(file) {
+  try {
+    return toDataUrl(await readMedia(file), file.mime_type);
+  } catch (error) {
+    logger.error(`Error loading stored media ${file.id}: ${error.message}`);
+    return null;
+  }
+}
+
+// Sends the newest images of earlier user turns along with the history, so the
+// model can compare them with a new photo. history: [{ role, content, media_ids }]
+async function attachHistoryImages(history) {
+  const { historyImages } = getConfig().ai.context;
+  const mediaIds = history.flatMap(message => message.role === 'user' ? message.media_ids || [] : []);
+  if (!historyImages || mediaIds.length === 0) return history;
+
+  const files = await databaseService.getMediaFiles([...new Set(mediaIds)]);
+  const images = new Map(files.filter(file => file.mime_type.startsWith('image/')).map(file => [file.id, file]));
+
+  // Newest turns first until the limit, the same photo sent twice counts twice
+  const attachments = history.map(() => []);
+  let remaining = historyImages;
+  for (let i = history.length - 1; i >= 0 && remaining > 0; i--) {
+    if (history[i].role !== 'user') continue;
+    for (const id of (history[i].media_ids || []).filter(id => images.has(id)).slice(0, remaining)) {
+      attachments[i].push(id);
+      remaining--;
+    }
+  }
+
+  const urls = new Map();
+  for (const id of new Set(attachments.flat())) {
+    const url = await loadImage(images.get(id));
+    if (url) urls.set(id, url);
+  }
+
+  return history.map((message, i) => {
+    const attached = attachments[i].filter(id => urls.has(id));
+    if (attached.length === 0) return message;
+    return {
+      ...message,
+      content: [
+        { type: "text", text: message.content },
+        ...attached.map(id => ({ type: "image_url", image_url: { url: urls.get(id) } }))
+      ]
+    };
+  });
+}
+
+module.exports = {
+  storeUserMedia,
+  readMedia,
+  attachHistoryImages
+};
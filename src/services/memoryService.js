@@ -0,0 +1,124 @@
+const databaseService = require('./databaseService');
+const whatsapp = require('./whatsappService');
+const { generateResponse } = require('../ai/model');
+const logger = require('../utils/logger');
+const { getConfig } = require('./tenantService');
+const botConfig = require('../config/botConfig');
+
+const MEMORY_CONFIG = botConfig.ai.memory;
+
+// Users with a summary in progress on this instance
+const summarizing = new Set();
+
+function parseMemory(text) {
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  const { summary = '', ...facts } = JSON.parse(json);
+  return { summary, facts };
+}
+
+function formatMemory(memory) {
+  const facts = memory.facts || {};
+  const lines = [];
+
+  if (memory.summary) lines.push(memory.summary);
+  if (facts.plants?.length) {
+    lines.push(`Plants: ${facts.plants.map(p => p.notes ? `${p.name} (${p.notes})` : p.name).join(', ')}`);
+  }
+  if (facts.location) lines.push(`Location: ${facts.location}`);
+  if (facts.climate) lines.push(`Climate: ${facts.climate}`);
+  if (facts.ongoing_issues?.length) lines.push(`Ongoing issues: ${facts.ongoing_issues.join(', ')}`);
+  if (facts.other_facts?.length) lines.push(`Other: ${facts.other_facts.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+// Memory text for the system prompt, plus the id up to which history is covered by it
+async function getMemoryContext(userId) {
+  if (!MEMORY_CONFIG.enabled) {
+    return { prompt: null, summarizedUntilId: 0 };
+  }
+
+  const memory = await databaseService.getUserMemory(userId);
+  const text = memory ? formatMemory(memory) : '';
+  return {
+    prompt: text ? `What you know about this user from earlier conversations:\n${text}` : null,
+    summarizedUntilId: memory ? memory.summarized_until_id : 0
+  };
+}
+
+async function summarizeConversation(userId) {
+  const memory = await databaseService.getUserMemory(userId);
+  const previousUntilId = memory ? memory.summarized_until_id : null;
+  const afterId = previousUntilId || 0;
+
+  const pending = await databaseService.countMessagesAfter(userId, afterId);
+  if (pending < MEMORY_CONFIG.summarizeThreshold) return;
+
+  // Condense everything except the newest messages, which stay as regular history
+  const messages = await databaseService.getMessagesAfter(userId, afterId, pending - MEMORY_CONFIG.keepRecent);
+  if (messages.length === 0) return;
+
+  const transcript = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+  const existing = memory ? JSON.stringify({ summary: memory.summary, ...memory.facts }) : 'none';
+
+  const response = await generateResponse([
+    { role: 'system', content: MEMORY_CONFIG.summaryPrompt },
+    { role: 'user', content: `Existing memory:\n${existing}\n\nNew conversation:\n${transcript}` }
+  ]);
+
+  const { summary, facts } = parseMemory(response);
+  const summarizedUntilId = messages[messages.length - 1].id;
+  const saved = await databaseService.saveUserMemory(userId, { summary, facts, summarizedUntilId }, previousUntilId);
+
+  if (saved) {
+    logger.info(`Summarized ${messages.length} messages of ${userId} into memory`);
+  } else {
+    logger.info(`Memory of ${userId} was updated concurrently, skipping summary`);
+  }
+}
+
+// Runs after the reply was sent, failures only cost a later retry
+function summarizeInBackground(userId) {
+  if (!MEMORY_CONFIG.enabled || summarizing.has(userId)) return;
+  summarizing.add(userId);
+
+  summarizeConversation(userId)
+    .catch(error => logger.error(`Error summarizing conversation of ${userId}: ${error.message}`))
+    .finally(() => summarizing.delete(userId));
+}
+
+// Returns true when the message was a memory command and has been handled
+async function handleMemoryCommand(message) {
+  if (!MEMORY_CONFIG.enabled || message.type !== 'text') return false;
+
+  const command = message.text.body.trim().toLowerCase();
+  const { commands } = MEMORY_CONFIG;
+  const { messages } = getConfig().ai.memory;
+
+  if (command === commands.view) {
+    const memory = await databaseService.getUserMemory(message.from);
+    const text = memory ? formatMemory(memory) : '';
+    await whatsapp.sendText(message.from, text ? `${messages.header}\n\n${text}` : messages.empty, { replyTo: message.id });
+    return true;
+  }
+
+  if (command === commands.clear) {
+    const latestId = await databaseService.getLatestMessageId(message.from);
+    // Users without any stored conversation have nothing to forget
+    if (latestId > 0) {
+      await databaseService.clearUserMemory(message.from, latestId);
+    }
+    await whatsapp.sendText(message.from, messages.cleared, { replyTo: message.id });
+    logger.info(`Cleared memory of ${message.from}`);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  getMemoryContext,
+  summarizeConversation,
+  summarizeInBackground,
+  handleMemoryCommand
+};
@@ -1,307 +1,180 @@
 const stripe = require('../config/stripe');
 const databaseService = require('./databaseService');
 const logger = require('../utils/logger');
+const { getConfig, getCurrentTenantId, runWithTenant, DEFAULT_TENANT } = require('./tenantService');
 
-async function checkStripeSubscription(phoneNumber) {
-  try {
-    // Try different phone number formats
-    const formattedPhoneNumber = phoneNumber.startsWith('+') ? phoneNumber : '+' + phoneNumber;
-    const withoutPlus = phoneNumber.startsWith('+') ? phoneNumber.substring(1) : phoneNumber;
-    
-    // Try multiple queries with different phone formats
-    const queries = [
-      `phone:'${formattedPhoneNumber}'`,
-      `phone:'${withoutPlus}'`
-    ];
-    
-    // Try matching by phone number first
-    for (const query of queries) {
-      const customers = await stripe.customers.search({
-        query: query,
-      });
-      
-      if (customers.data.length > 0) {
-        const isSubscribed = await checkCustomerSubscriptionStatus(customers.data[0].id, query);
-        if (isSubscribed) return true;
-      }
-    }
-    
-    // If not found by phone, try looking by customer ID directly
-    // This handles cases where the customer ID follows a certain pattern with the phone number
-    try {
-      // Try to directly retrieve customer if phoneNumber looks like a customer ID
-      if (phoneNumber.startsWith('cus_')) {
-        const customerDirectly = await stripe.customers.retrieve(phoneNumber);
-        if (customerDirectly && !customerDirectly.deleted) {
-          logger.info(`Found customer directly by ID: ${phoneNumber}`);
-          const isSubscribed = await checkCustomerSubscriptionStatus(customerDirectly.id, `id:${phoneNumber}`);
-          if (isSubscribed) return true;
-        }
-      }
-    } catch (err) {
-      // Silently fail if customer ID lookup fails
-      logger.debug(`Customer ID lookup failed: ${err.message}`);
-    }
-    
-    // Last resort: search across recent customers
-    try {
-      // List recent customers and check if any have matching phone metadata
-      const allCustomers = await stripe.customers.list({
-        limit: 100,
-        expand: ['data.subscriptions']
-      });
-      
-      for (const customer of allCustomers.data) {
-        // Check if phone metadata contains our number
-        const customerPhone = customer.phone || '';
-        const customerMetadata = customer.metadata || {};
-        const metadataPhone = customerMetadata.phone || '';
-        const metadataWhatsapp = customerMetadata.whatsapp || '';
-        
-        const phonesToCheck = [
-          customerPhone, 
-          metadataPhone, 
-          metadataWhatsapp
-        ];
-        
-        if (phonesToCheck.some(p => 
-          p === formattedPhoneNumber || 
-          p === withoutPlus || 
-          p === phoneNumber)
-        ) {
-          logger.info(`Found phone match in metadata for customer ${customer.id}`);
-          const isSubscribed = await checkCustomerSubscriptionStatus(customer.id, 'metadata-search');
-          if (isSubscribed) return true;
-        }
-        
-        // Check expanded subscriptions directly
-        if (customer.subscriptions && customer.subscriptions.data && customer.subscriptions.data.length > 0) {
-          const hasActiveSubscription = customer.subscriptions.data.some(
-            sub => sub.status === 'active' || sub.status === 'trialing'
-          );
-          
-          if (hasActiveSubscription) {
-            // Look for phone match in subscription metadata 
-            const phoneMatches = customer.subscriptions.data.some(sub => {
-              const subMetadata = sub.metadata || {};
-              return subMetadata.phone === formattedPhoneNumber || 
-                     subMetadata.phone === withoutPlus ||
-                     subMetadata.phone === phoneNumber;
-            });
-            
-            if (phoneMatches) {
-              logger.info(`Found phone match in subscription metadata for customer ${customer.id}`);
-              return true;
-            }
-          }
-        }
-      }
-    } catch (err) {
-      logger.error(`Error in fallback customer search: ${err.message}`);
-    }
-    
-    return false;
-  } catch (error) {
-    logger.error(`Error checking Stripe subscription: ${error.message}`);
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+// WhatsApp sends numbers as digits only, Stripe phones may contain "+", spaces or dashes
+function normalizePhoneNumber(phoneNumber) {
+  return phoneNumber ? phoneNumber.replace(/\D/g, '') : null;
+}
+
+// Entitlement is read from the users row that the Stripe webhook keeps in sync.
+// A manual grant or revoke from the admin API takes precedence over Stripe.
+function hasActiveSubscription(user) {
+  if (!user) return false;
+
+  if (user.access_override === 'revoked') return false;
+  if (user.access_override === 'granted' &&
+      (!user.access_override_until || new Date(user.access_override_until).getTime() > Date.now())) {
+    return true;
+  }
+
+  if (!ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
     return false;
   }
+  if (!user.subscription_period_end) {
+    return true;
+  }
+  return new Date(user.subscription_period_end).getTime() > Date.now();
 }
 
-// Helper function to check a specific customer's subscription status
-async function checkCustomerSubscriptionStatus(customerId, querySource) {
-  try {
-    // Check subscriptions with expanded status options
-    const subscriptions = await stripe.subscriptions.list({
-      customer: customerId,
-      status: 'all',
-      limit: 10,
-      expand: ['data.latest_invoice']
-    });
-    
-    // Check for active or trialing subscriptions
-    const activeSubscription = subscriptions.data.find(sub => 
-      sub.status === 'active' || 
-      sub.status === 'trialing' || 
-      (sub.trial_end && sub.trial_end > Math.floor(Date.now() / 1000))
-    );
-    
-    if (activeSubscription) {
-      logger.info(`Subscription found for customer ${customerId} with status: ${activeSubscription.status} (found via ${querySource})`);
-      return true;
-    }
-    
-    // Check payment intents for paid subscriptions
-    const paymentIntents = await stripe.paymentIntents.list({
-      customer: customerId,
-      limit: 5
-    });
+function constructWebhookEvent(rawBody, signature) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('Stripe webhook secret is not configured');
+  }
+  return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+}
 
-    const hasSuccessfulPayment = paymentIntents.data.some(pi => 
-      pi.status === 'succeeded' && 
-      pi.created > (Date.now()/1000 - 30*24*60*60) // Within last 30 days
-    );
+// Create a Checkout Session that carries the exact WhatsApp number and tenant of the user
+async function createCheckoutSession(user) {
+  const { priceId, successUrl, cancelUrl, expiresAfter, locale } = getConfig().subscription.checkout;
+  const tenantId = getCurrentTenantId();
 
-    if (hasSuccessfulPayment) {
-      logger.info(`Successful payment found for customer ${customerId} (found via ${querySource})`);
-      return true;
-    }
-    
-    // Check invoices for free trials that might not have payment intents
-    const invoices = await stripe.invoices.list({
-      customer: customerId,
-      status: 'paid',
-      limit: 5
-    });
-    
-    if (invoices.data.length > 0) {
-      logger.info(`Paid invoice found for customer ${customerId} (found via ${querySource})`);
-      return true;
-    }
-    
-    return false;
+  if (!priceId) {
+    throw new Error('Stripe price ID is not configured');
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'subscription',
+    line_items: [{ price: priceId, quantity: 1 }],
+    client_reference_id: user.user_id,
+    customer: user.stripe_customer_id || undefined,
+    metadata: { whatsapp: user.user_id, tenant: tenantId },
+    subscription_data: {
+      metadata: { whatsapp: user.user_id, tenant: tenantId }
+    },
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    expires_at: Math.floor(Date.now() / 1000) + expiresAfter,
+    locale   // The checkout page speaks the user's language
+  });
+
+  logger.info(`Created checkout session ${session.id} for ${user.user_id}`);
+  return session;
+}
+
+async function getCheckoutUrl(user) {
+  try {
+    const session = await createCheckoutSession(user);
+    return session.url;
   } catch (error) {
-    logger.error(`Error checking customer ${customerId} subscription status: ${error.message}`);
-    return false;
+    logger.error(`Error creating checkout session: ${error.message}`);
+    return getConfig().subscription.checkout.fallbackUrl;
   }
 }
 
-// Debug function to inspect customer creation
-async function debugStripeCustomer(phoneNumber) {
+// Find the WhatsApp user (and tenant) behind a Stripe customer, falling back to the phone on the customer.
+// Returns { tenantId, userId } or null
+async function resolveUser(customerId, fallbackTenantId) {
+  const user = await databaseService.findUserByStripeCustomerId(customerId);
+  if (user) return { tenantId: user.tenant_id, userId: user.user_id };
+
+  const customer = await stripe.customers.retrieve(customerId);
+  if (!customer || customer.deleted) return null;
+
+  const metadata = customer.metadata || {};
+  const userId = normalizePhoneNumber(metadata.whatsapp || metadata.phone || customer.phone);
+  return userId ? { tenantId: fallbackTenantId, userId } : null;
+}
+
+async function syncSubscription(userId, subscription) {
+  const status = subscription.status;
+  const periodEnd = subscription.current_period_end
+    ? new Date(subscription.current_period_end * 1000).toISOString()
+    : null;
+
+  await databaseService.updateStripeSubscription(userId, {
+    customerId: subscription.customer,
+    status,
+    periodEnd,
+    priceId: subscription.items?.data?.[0]?.price?.id || null,
+    isSubscribed: hasActiveSubscription({ subscription_status: status, subscription_period_end: periodEnd })
+  });
+
+  logger.info(`Synced subscription ${subscription.id} for ${userId} with status: ${status}`);
+}
+
+async function handleCheckoutCompleted(session) {
+  if (session.mode !== 'subscription' || !session.subscription) {
+    logger.info(`Ignoring checkout session ${session.id} without subscription`);
+    return;
+  }
+
+  // Sessions created before tenants existed have no tenant in their metadata
+  const tenantId = session.metadata?.tenant || DEFAULT_TENANT;
+  const phoneNumber = normalizePhoneNumber(
+    session.client_reference_id ||
+    session.metadata?.whatsapp ||
+    session.customer_details?.phone
+  );
+  const owner = phoneNumber ? { tenantId, userId: phoneNumber } : await resolveUser(session.customer, tenantId);
+
+  if (!owner) {
+    logger.error(`Could not match checkout session ${session.id} to a WhatsApp user`);
+    return;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(session.subscription);
+  await runWithTenant(owner.tenantId, () => syncSubscription(owner.userId, subscription));
+}
+
+async function handleSubscriptionChange(subscription) {
+  const owner = await resolveUser(subscription.customer, subscription.metadata?.tenant || DEFAULT_TENANT);
+  if (!owner) {
+    logger.error(`Could not match subscription ${subscription.id} to a WhatsApp user`);
+    return;
+  }
+
+  await runWithTenant(owner.tenantId, () => syncSubscription(owner.userId, subscription));
+}
+
+async function handleInvoiceEvent(invoice) {
+  if (!invoice.subscription) {
+    logger.info(`Ignoring invoice ${invoice.id} without subscription`);
+    return;
+  }
+
+  // Re-read the subscription so the stored status reflects the outcome of the invoice
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  await handleSubscriptionChange(subscription);
+}
+
+async function handleWebhookEvent(event) {
   try {
-    const formattedPhoneNumber = phoneNumber.startsWith('+') ? phoneNumber : '+' + phoneNumber;
-    
-    logger.info(`Debugging Stripe customer for phone: ${formattedPhoneNumber}`);
-    
-    // Get recent customers
-    const allCustomers = await stripe.customers.list({
-      limit: 20,
-    });
-    
-    const customerDetails = allCustomers.data.map(c => ({
-      id: c.id,
-      phone: c.phone,
-      email: c.email,
-      metadata: c.metadata,
-      created: new Date(c.created * 1000).toISOString()
-    }));
-    
-    logger.info(`Recent customers: ${JSON.stringify(customerDetails)}`);
-    
-    // Try to find specific customer
-    const customers = await stripe.customers.search({
-      query: `phone:'${formattedPhoneNumber}'`,
-    });
-    
-    if (customers.data.length > 0) {
-      const customer = customers.data[0];
-      logger.info(`Found customer by phone: ${JSON.stringify({
-        id: customer.id,
-        phone: customer.phone,
-        email: customer.email,
-        metadata: customer.metadata
-      })}`);
-      
-      // Check all subscriptions (not just active)
-      const subscriptions = await stripe.subscriptions.list({
-        customer: customer.id,
-        status: 'all',
-        limit: 5,
-        expand: ['data.latest_invoice']
-      });
-      
-      logger.info(`Customer subscriptions: ${JSON.stringify(subscriptions.data.map(s => ({
-        id: s.id,
-        status: s.status,
-        trial_end: s.trial_end ? new Date(s.trial_end * 1000).toISOString() : null,
-        trial_start: s.trial_start ? new Date(s.trial_start * 1000).toISOString() : null,
-        current_period_end: new Date(s.current_period_end * 1000).toISOString(),
-        items: s.items.data.map(i => i.price.id)
-      })))}`);
-      
-      // Check payment intents
-      const paymentIntents = await stripe.paymentIntents.list({
-        customer: customer.id,
-        limit: 5
-      });
-      
-      logger.info(`Customer payment intents: ${JSON.stringify(paymentIntents.data.map(pi => ({
-        id: pi.id,
-        status: pi.status,
-        amount: pi.amount,
-        created: new Date(pi.created * 1000).toISOString()
-      })))}`);
-      
-      // Also check invoices
-      const invoices = await stripe.invoices.list({
-        customer: customer.id,
-        limit: 5
-      });
-      
-      logger.info(`Customer invoices: ${JSON.stringify(invoices.data.map(inv => ({
-        id: inv.id,
-        status: inv.status,
-        amount_due: inv.amount_due,
-        created: new Date(inv.created * 1000).toISOString()
-      })))}`);
+    logger.info(`Received Stripe event ${event.id} of type ${event.type}`);
+    const object = event.data.object;
+
+    if (event.type === 'checkout.session.completed') {
+      await handleCheckoutCompleted(object);
+    } else if (event.type.startsWith('customer.subscription.')) {
+      await handleSubscriptionChange(object);
+    } else if (event.type.startsWith('invoice.')) {
+      await handleInvoiceEvent(object);
     } else {
-      logger.info(`No customer found for phone: ${formattedPhoneNumber}`);
-      
-      // If customer not found by phone, try to look up by customer ID
-      if (phoneNumber.startsWith('cus_')) {
-        try {
-          const customerById = await stripe.customers.retrieve(phoneNumber);
-          if (customerById && !customerById.deleted) {
-            logger.info(`Found customer by ID: ${JSON.stringify({
-              id: customerById.id,
-              phone: customerById.phone,
-              email: customerById.email,
-              metadata: customerById.metadata
-            })}`);
-            
-            await checkCustomerSubscriptionStatus(customerById.id, 'debug-id-search');
-          }
-        } catch (err) {
-          logger.info(`Failed to find customer by ID: ${err.message}`);
-        }
-      }
-      
-      // Search across all customers for partial matches
-      logger.info(`Searching across all customers for phone number matches...`);
-      const allCustomers = await stripe.customers.list({
-        limit: 100,
-        expand: ['data.subscriptions']
-      });
-      
-      const matches = allCustomers.data.filter(c => {
-        const customerPhone = c.phone || '';
-        const metadata = c.metadata || {};
-        return customerPhone.includes(withoutPlus) || 
-               customerPhone.includes(formattedPhoneNumber) ||
-               JSON.stringify(metadata).includes(withoutPlus) ||
-               JSON.stringify(metadata).includes(formattedPhoneNumber);
-      });
-      
-      if (matches.length > 0) {
-        logger.info(`Found ${matches.length} potential matching customers by partial phone number:`);
-        matches.forEach(m => {
-          logger.info(`Customer: ${m.id}, Phone: ${m.phone}, Email: ${m.email}`);
-          if (m.subscriptions && m.subscriptions.data.length > 0) {
-            logger.info(`Has ${m.subscriptions.data.length} subscriptions, statuses: ${m.subscriptions.data.map(s => s.status).join(', ')}`);
-          }
-        });
-      } else {
-        logger.info(`No matches found in broader customer search`);
-      }
+      logger.info(`Unhandled Stripe event type: ${event.type}`);
     }
-    
-    return true;
   } catch (error) {
-    logger.error(`Error debugging Stripe customer: ${error.message}`);
-    return false;
+    logger.error(`Error handling Stripe event ${event.id}: ${error.message}`);
+    throw error;
   }
 }
 
 module.exports = {
-  checkStripeSubscription,
-  debugStripeCustomer
+  hasActiveSubscription,
+  createCheckoutSession,
+  getCheckoutUrl,
+  constructWebhookEvent,
+  handleWebhookEvent
 };
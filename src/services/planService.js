@@ -0,0 +1,61 @@
+const databaseService = require('./databaseService');
+const paymentService = require('./paymentService');
+const { getConfig } = require('./tenantService');
+const { getCountryAccess } = require('../utils/countryPolicy');
+
+// Plans can differ per tenant
+function getPlan(name) {
+  const plan = getConfig().subscription.plans[name];
+  if (!plan) {
+    throw new Error(`Unknown plan: ${name}`);
+  }
+  return { name, ...plan };
+}
+
+function findPlanByPrice(priceId) {
+  const { plans, defaultPaidPlan } = getConfig().subscription;
+  const name = Object.keys(plans).find(key => (plans[key].stripePriceIds || []).includes(priceId));
+  return name || defaultPaidPlan;
+}
+
+// An assigned plan (tester, trial) wins, then the Stripe subscription, then the free plan
+// (or the soft-mode plan for users from blocked countries)
+function resolvePlan(user) {
+  const { plans, defaultPlan, defaultPaidPlan } = getConfig().subscription;
+  const assignedActive = user.plan && plans[user.plan] &&
+    (!user.plan_expires_at || new Date(user.plan_expires_at).getTime() > Date.now());
+  if (assignedActive) {
+    return getPlan(user.plan);
+  }
+
+  if (paymentService.hasActiveSubscription(user)) {
+    return getPlan(user.subscription_price_id ? findPlanByPrice(user.subscription_price_id) : defaultPaidPlan);
+  }
+
+  const access = getCountryAccess(user.user_id);
+  return getPlan(access.status === 'restricted' ? access.plan : defaultPlan);
+}
+
+// End of the current quota period (same periods as consume_message_quota), null for lifetime quotas
+function getPeriodEnd(window, now = new Date()) {
+  if (window === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  if (window === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+  return null;
+}
+
+// Counts the message against the plan in one database statement, so parallel messages can't overshoot.
+// cost: scans the message type costs (whatsapp.messageTypes)
+async function consumeQuota(userId, plan, cost = 1) {
+  return databaseService.consumeMessageQuota(userId, plan.window, plan.quota, cost);
+}
+
+module.exports = {
+  getPlan,
+  resolvePlan,
+  getPeriodEnd,
+  consumeQuota
+};
@@ -1,69 +1,119 @@
+const databaseService = require('./databaseService');
+const { buildChatMessages } = require('../ai/contextBuilder');
+const { getConfig, runWithTenant } = require('./tenantService');
 const logger = require('../utils/logger');
 const botConfig = require('../config/botConfig');
 
-// Track request rate
-let requestCount = 0;
-const RATE_LIMIT_WINDOW = botConfig.whatsapp.rateLimit.window;
-const RATE_LIMIT_THRESHOLD = botConfig.whatsapp.rateLimit.threshold;
-const delayedMessages = [];
-let processingDelayed = false;
-
-setInterval(() => { 
-  requestCount = 0;
-  if (delayedMessages.length > 0 && !processingDelayed) {
-    processDelayedMessages();
+const QUEUE_CONFIG = botConfig.queue;
+
+let activeJobs = 0;
+let polling = false;
+let workerOptions = null;
+
+// Runs one side effect of a job at most once: the result is kept in the job's progress,
+// and a retry of the job gets the recorded result instead of running the step again
+async function runJobStep(job, step, fn) {
+  if (job?.progress && Object.hasOwn(job.progress, step)) {
+    logger.info(`Job ${job.id} already did ${step}, skipping it`);
+    return job.progress[step];
+  }
+
+  const result = (await fn()) ?? null;
+  if (job) {
+    job.progress = { ...job.progress, [step]: result };
+    await databaseService.saveJobProgress(job.id, job.progress);
   }
-}, RATE_LIMIT_WINDOW);
+  return result;
+}
 
+// job: the message_jobs row, so a retry doesn't charge the quota or send the reply twice
 async function processMessageDirectly(messageData) {
-  const { message, from, messageType, handlers } = messageData;
+  const { message, from, messageType, handlers, job } = messageData;
   const {
-    checkSubscription,
+    resolvePlan,
+    consumeQuota,
+    getCheckoutUrl,
     findOrCreateUser,
-    updateSubscription,
-    incrementMessageCount,
     getConversationContext,
+    attachHistoryImages,
+    getMemoryContext,
+    summarizeConversation,
     generateAIResponse,
     sendWhatsAppMessage,
+    sendReply,
+    sendUrlButton,
+    sendQuotaReached,
+    sendFollowUp,
     saveMessage
   } = handlers;
 
   try {
-    // Check subscription and user status first
-    const [isSubscribed, user] = await Promise.all([
-      checkSubscription(from),
-      findOrCreateUser(from)
-    ]);
-
-    // Update subscription status if needed
-    if (isSubscribed !== user.is_subscribed) {
-      await updateSubscription(from, isSubscribed);
-    }
+    const config = getConfig();
+
+    // Plan comes from the users row, kept in sync by the Stripe webhook
+    const user = await findOrCreateUser(from);
+    const plan = resolvePlan(user);
+    const usage = await runJobStep(job, 'usage', () => consumeQuota(from, plan, message.quotaCost));
+
+    if (!usage.allowed) {
+      logger.info(`User ${from} reached the ${plan.name} quota (${usage.used}/${usage.quota} ${plan.window})`);
 
-    // Get message count and check limits
-    const messageCount = await incrementMessageCount(from);
-    
-    const isTester = ['31683985314', '31636505705', '31681883910'].includes(from);
+      // Paid tiers (the ones sold through Stripe) wait for their next period, everyone else is offered an upgrade
+      if (plan.stripePriceIds) {
+        const quotaMessage = config.subscription.messages.quotaReached;
+        await runJobStep(job, 'notice', () => sendQuotaReached(from, quotaMessage, { replyTo: message.messageId }));
+        return { status: 'quota_reached', message: quotaMessage };
+      }
 
-// If user has exceeded free messages and is not subscribed, send subscription message and return
-    if (!isTester && (messageCount <= 10 || !isSubscribed)) {
-      const subscriptionMessage = botConfig.subscription.messages.expired;
-      await sendWhatsAppMessage(from, subscriptionMessage);
+      const checkoutUrl = await getCheckoutUrl(user);
+      const { expired, upgradeButton } = config.subscription.messages;
+      const subscriptionMessage = `${expired} ${checkoutUrl}`;
+      await runJobStep(job, 'notice', async () => {
+        const buttonResult = await sendUrlButton(from, expired, upgradeButton, checkoutUrl, { replyTo: message.messageId });
+
+        // Fall back to a plain link when the button could not be sent
+        if (buttonResult?.status !== 'success') {
+          return sendWhatsAppMessage(from, subscriptionMessage, { replyTo: message.messageId });
+        }
+        return buttonResult;
+      });
       return { status: 'subscription_required', message: subscriptionMessage };
     }
 
-    // Process the message normally for subscribed users or users within free limit
-    const contextMessages = await getConversationContext(from);
-    const context = contextMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
-    const prompt = messageType === 'image' ? message.messageForAI : 
-      [{ type: "text", text: `Previous conversation:\n${context}\n\nUser: ${message.messageContent}\nAssistant:` }];
-
-    const aiResponse = await generateAIResponse(prompt);
-    await Promise.all([
-      sendWhatsAppMessage(from, aiResponse),
-      saveMessage(from, message.messageContent, aiResponse)
-    ]);
-    
+    // Process the message normally for users within their plan quota.
+    // The answer is kept with the send result, a retry only saves it.
+    const { aiResponse } = await runJobStep(job, 'reply', async () => {
+      // History already condensed into the memory is left out
+      const memory = await getMemoryContext(from);
+      const history = await attachHistoryImages(await getConversationContext(from, memory.summarizedUntilId));
+      const chatMessages = buildChatMessages({
+        systemPrompt: config.ai.model.systemPrompt,
+        memory: memory.prompt,
+        history,
+        content: message.messageForAI
+      });
+
+      // Tools can look up the account and act for this user
+      const aiResponse = await generateAIResponse(chatMessages, { toolContext: { userId: from, user, plan, usage } });
+      const sendResult = await sendReply(from, aiResponse, { replyTo: message.messageId, user, voiceNote: message.voiceNote });
+
+      // Not recorded as done, the job is retried with backoff and dead-lettered in the end
+      if (sendResult?.status !== 'success') {
+        throw new Error(`Reply to ${from} could not be sent: ${sendResult?.error}`);
+      }
+      return { aiResponse, sendResult };
+    });
+
+    await runJobStep(job, 'saved', async () => {
+      await saveMessage(from, message.messageContent, aiResponse, message.mediaIds);
+      return true;
+    });
+    // Answers to photos offer to scan the next plant
+    if (messageType === 'image') {
+      await runJobStep(job, 'followUp', () => sendFollowUp(from, plan, { replyTo: message.messageId }));
+    }
+    summarizeConversation(from);
+
     return { status: 'success', message: aiResponse };
   } catch (error) {
     logger.error(`Error in direct processing: ${error.message}`);
@@ -71,42 +121,92 @@ async function processMessageDirectly(messageData) {
   }
 }
 
-async function processDelayedMessages() {
-  if (delayedMessages.length === 0) return;
-  
-  processingDelayed = true;
-  logger.info(`Processing ${delayedMessages.length} delayed messages`);
+function getBackoffDelay(attempts) {
+  const delay = QUEUE_CONFIG.backoff.base * Math.pow(2, attempts - 1);
+  return Math.min(delay, QUEUE_CONFIG.backoff.max);
+}
+
+async function runJob(job) {
+  const { processJob, onDeadLetter } = workerOptions;
+
+  try {
+    // Jobs reclaimed after a crash can already be past their last attempt
+    if (job.attempts > job.max_attempts) {
+      throw new Error(`Job ${job.id} exceeded ${job.max_attempts} attempts`);
+    }
+
+    await processJob(job.payload, job);
+    await databaseService.completeJob(job.id);
+    logger.info(`Job ${job.id} completed after ${job.attempts} attempt(s)`);
+  } catch (error) {
+    logger.error(`Job ${job.id} failed on attempt ${job.attempts}: ${error.message}`);
+
+    try {
+      if (job.attempts >= job.max_attempts) {
+        await databaseService.deadLetterJob(job.id, error.message);
+        logger.error(`Job ${job.id} moved to dead-letter state`);
+        await onDeadLetter(job.payload, error);
+      } else {
+        const runAt = new Date(Date.now() + getBackoffDelay(job.attempts)).toISOString();
+        await databaseService.retryJob(job.id, error.message, runAt);
+      }
+    } catch (failError) {
+      logger.error(`Error recording failure of job ${job.id}: ${failError.message}`);
+    }
+  }
+}
+
+async function pollJobs() {
+  if (polling || !workerOptions) return;
+  polling = true;
 
   try {
-    while (delayedMessages.length > 0) {
-      const messageData = delayedMessages.shift();
-      await processMessageDirectly(messageData);
-      // Add a small delay between processing messages
-      await new Promise(resolve => setTimeout(resolve, 100));
+    const capacity = QUEUE_CONFIG.concurrency - activeJobs;
+    if (capacity <= 0) return;
+
+    const jobs = await databaseService.claimJobs(capacity, QUEUE_CONFIG.lockTimeout);
+    for (const job of jobs) {
+      activeJobs++;
+      // Everything the job does (replies, quota, history) happens for the tenant it came in on
+      runWithTenant(job.tenant_id, () => runJob(job)).finally(() => {
+        activeJobs--;
+        // A slot was freed, look for more work right away
+        setImmediate(pollJobs);
+      });
     }
   } catch (error) {
-    logger.error('Error processing delayed messages:', error);
+    logger.error(`Error polling jobs: ${error.message}`);
   } finally {
-    processingDelayed = false;
+    polling = false;
   }
 }
 
-async function handleMessage(messageData) {
+function startWorkers(options) {
+  workerOptions = options;
+  setInterval(pollJobs, QUEUE_CONFIG.pollInterval);
+  logger.info(`Queue workers started with concurrency ${QUEUE_CONFIG.concurrency}`);
+  pollJobs();
+}
+
+async function enqueueMessage(from, message) {
   try {
-    requestCount++;
-    
-    if (requestCount > RATE_LIMIT_THRESHOLD) {
-      logger.info(`High traffic detected (${requestCount} req/s). Delaying message processing.`);
-      delayedMessages.push(messageData);
-      return { delayed: true };
-    } else {
-      logger.info('Processing message directly.');
-      return await processMessageDirectly(messageData);
-    }
+    const job = await databaseService.enqueueMessageJob(from, message, {
+      debounceWindow: QUEUE_CONFIG.debounce.window,
+      maxWait: QUEUE_CONFIG.debounce.maxWait,
+      maxAttempts: QUEUE_CONFIG.maxAttempts
+    });
+    logger.info(`Queued message ${message.id} from ${from} as job ${job.id} (${job.payload.messages.length} message(s))`);
+    setImmediate(pollJobs);
+    return job;
   } catch (error) {
-    logger.error('Error handling message:', error);
+    logger.error('Error enqueueing message:', error);
     throw error;
   }
 }
 
-module.exports = { handleMessage }; 
+module.exports = {
+  enqueueMessage,
+  startWorkers,
+  runJobStep,
+  processMessageDirectly
+};
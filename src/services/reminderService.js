@@ -0,0 +1,298 @@
+const databaseService = require('./databaseService');
+const whatsapp = require('./whatsappService');
+const logger = require('../utils/logger');
+const { getConfig, runWithTenant, runWithLocale } = require('./tenantService');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, addInterval, formatInTimeZone } = require('../utils/timezone');
+const botConfig = require('../config/botConfig');
+
+const REMINDER_CONFIG = botConfig.reminders;
+
+const UNIT_MINUTES = { minute: 1, hour: 60, day: 24 * 60, week: 7 * 24 * 60 };
+
+let runningReminders = false;
+
+function getTimezone(user) {
+  return user?.timezone || REMINDER_CONFIG.defaultTimezone;
+}
+
+function parseTime(hour, minute) {
+  const [defaultHour, defaultMinute] = REMINDER_CONFIG.defaultTime.split(':').map(Number);
+  return hour === undefined
+    ? { hour: defaultHour, minute: defaultMinute }
+    : { hour: Number(hour), minute: Number(minute) };
+}
+
+// The next time the clock shows hour:minute in the timezone, today or later
+function nextTimeOfDay({ hour, minute }, timezone, now) {
+  const today = getZonedParts(now, timezone);
+  let date = zonedTimeToUtc({ ...today, hour, minute }, timezone);
+  if (date <= now) {
+    date = zonedTimeToUtc({ ...today, day: today.day + 1, hour, minute }, timezone);
+  }
+  return date;
+}
+
+// Parses the text after /remind, returns { remindAt, repeat, task } or null
+function parseReminderCommand(text, timezone, now = new Date()) {
+  let match = text.match(/^in (\d+) (minute|hour|day|week)s? (.+)$/i);
+  if (match) {
+    const minutes = Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+    return { remindAt: new Date(now.getTime() + minutes * 60 * 1000), repeat: null, task: match[3] };
+  }
+
+  match = text.match(/^every (?:(\d+) )?(day|week|month)s?(?: at (\d{1,2}):(\d{2}))? (.+)$/i);
+  if (match) {
+    const repeat = { interval: Number(match[1] || 1), unit: match[2].toLowerCase() };
+    // Without a time the first reminder is one interval from now, monthly ones stay on today's day
+    if (repeat.unit === 'month' && match[3] === undefined) {
+      repeat.anchorDay = getZonedParts(now, timezone).day;
+    }
+    const remindAt = match[3] === undefined
+      ? addInterval(now, repeat, timezone)
+      : nextTimeOfDay(parseTime(match[3], match[4]), timezone, now);
+    return { remindAt, repeat, task: match[5] };
+  }
+
+  match = text.match(/^(today|tomorrow)(?: at (\d{1,2}):(\d{2}))? (.+)$/i);
+  if (match) {
+    const today = getZonedParts(now, timezone);
+    const day = today.day + (match[1].toLowerCase() === 'tomorrow' ? 1 : 0);
+    return { remindAt: zonedTimeToUtc({ ...today, day, ...parseTime(match[2], match[3]) }, timezone), repeat: null, task: match[4] };
+  }
+
+  match = text.match(/^(?:on )?(\d{4})-(\d{2})-(\d{2})(?: (?:at )?(\d{1,2}):(\d{2}))? (.+)$/i);
+  if (match) {
+    const date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    return { remindAt: zonedTimeToUtc({ ...date, ...parseTime(match[4], match[5]) }, timezone), repeat: null, task: match[6] };
+  }
+
+  match = text.match(/^at (\d{1,2}):(\d{2}) (.+)$/i);
+  if (match) {
+    return { remindAt: nextTimeOfDay(parseTime(match[1], match[2]), timezone, now), repeat: null, task: match[3] };
+  }
+
+  return null;
+}
+
+// Durations like 30m, 2h or 1d
+function parseDuration(text) {
+  const match = (text || '').match(/^(\d+)\s*(m|min|h|d)$/i);
+  if (!match) return null;
+  const minutes = { m: 1, min: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  return Number(match[1]) * minutes;
+}
+
+// Dates and repeats are written in the locale of the current user
+function formatDate(date, timezone) {
+  return formatInTimeZone(new Date(date), timezone, getConfig().reminders.dateLocale);
+}
+
+function describeRepeat(reminder) {
+  if (!reminder.repeat_unit) return '';
+  return ` (${getConfig().reminders.messages.repeats(reminder.repeat_interval, reminder.repeat_unit)})`;
+}
+
+function formatReminder(reminder) {
+  const when = formatDate(reminder.remind_at, reminder.timezone);
+  const task = reminder.plant ? `${reminder.plant}: ${reminder.task}` : reminder.task;
+  return `#${reminder.id} ${task} – ${when}${describeRepeat(reminder)}`;
+}
+
+async function createReminder(user, { plant = null, task, remindAt, repeat = null }) {
+  if (remindAt.getTime() <= Date.now()) {
+    throw new Error('The reminder time has to be in the future');
+  }
+
+  const timezone = getTimezone(user);
+  const reminder = await databaseService.createCareReminder({
+    userId: user.user_id,
+    plant,
+    task,
+    remindAt: remindAt.toISOString(),
+    timezone,
+    repeatInterval: repeat ? repeat.interval : null,
+    repeatUnit: repeat ? repeat.unit : null,
+    // Monthly repeats keep coming back to this day instead of drifting after short months
+    repeatAnchorDay: repeat?.unit === 'month' ? repeat.anchorDay || getZonedParts(remindAt, timezone).day : null
+  });
+
+  logger.info(`Created reminder ${reminder.id} for ${user.user_id} at ${reminder.remind_at}`);
+  return reminder;
+}
+
+async function listReminders(userId) {
+  return databaseService.listCareReminders(userId);
+}
+
+async function cancelReminder(userId, reminderId) {
+  return databaseService.cancelCareReminder(userId, reminderId);
+}
+
+// Without an id the reminder sent last is snoozed. Repeating reminders keep their schedule,
+// the snooze is sent as an extra one-off reminder.
+async function snoozeReminder(userId, reminderId, minutes = REMINDER_CONFIG.defaultSnoozeMinutes) {
+  const reminder = reminderId
+    ? await databaseService.getCareReminder(userId, reminderId)
+    : await databaseService.getLastSentCareReminder(userId);
+  if (!reminder || reminder.status === 'cancelled') return null;
+
+  const remindAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  if (reminder.repeat_unit) {
+    return databaseService.createCareReminder({
+      userId,
+      plant: reminder.plant,
+      task: reminder.task,
+      remindAt,
+      timezone: reminder.timezone
+    });
+  }
+
+  await databaseService.updateCareReminder(reminder.id, { status: 'pending', remind_at: remindAt, error: null });
+  return { ...reminder, status: 'pending', remind_at: remindAt };
+}
+
+// Free-form messages only reach users who wrote within the last 24 hours
+function isWindowOpen(reminder) {
+  const lastMessageAt = reminder.users?.last_message_at;
+  return Boolean(lastMessageAt) &&
+    Date.now() - new Date(lastMessageAt).getTime() < REMINDER_CONFIG.conversationWindow;
+}
+
+async function sendReminder(reminder) {
+  const task = reminder.plant ? `${reminder.plant}: ${reminder.task}` : reminder.task;
+
+  const { messages, template } = getConfig().reminders;
+
+  if (isWindowOpen(reminder)) {
+    return whatsapp.sendText(reminder.user_id, messages.reminder(task));
+  }
+
+  const { name, languageCode } = template;
+  return whatsapp.sendTemplate(reminder.user_id, name, languageCode, [{
+    type: "body",
+    parameters: [{ type: "text", text: task }]
+  }]);
+}
+
+// Skips occurrences missed while the server was down
+function getNextRemindAt(reminder) {
+  if (!reminder.repeat_unit) return null;
+
+  const repeat = { interval: reminder.repeat_interval, unit: reminder.repeat_unit, anchorDay: reminder.repeat_anchor_day };
+  let next = addInterval(new Date(reminder.remind_at), repeat, reminder.timezone);
+  while (next.getTime() <= Date.now()) {
+    next = addInterval(next, repeat, reminder.timezone);
+  }
+  return next.toISOString();
+}
+
+async function runDueReminders() {
+  if (runningReminders) return;
+  runningReminders = true;
+
+  try {
+    const reminders = await databaseService.findDueCareReminders(REMINDER_CONFIG.batchSize);
+    for (const reminder of reminders) {
+      const nextRemindAt = getNextRemindAt(reminder);
+      if (!await databaseService.claimCareReminder(reminder, nextRemindAt)) continue;
+
+      try {
+        const result = await runWithTenant(reminder.tenant_id, () =>
+          runWithLocale(reminder.users?.language, () => sendReminder(reminder)));
+        if (result.status !== 'success') {
+          throw new Error(result.error || 'Sending failed');
+        }
+        logger.info(`Sent reminder ${reminder.id} to ${reminder.user_id}`);
+      } catch (error) {
+        // Repeating reminders stay scheduled for their next occurrence
+        logger.error(`Error sending reminder ${reminder.id}: ${error.message}`);
+        await databaseService.updateCareReminder(reminder.id, nextRemindAt
+          ? { error: error.message }
+          : { status: 'failed', error: error.message })
+          .catch(() => {});
+      }
+    }
+  } catch (error) {
+    logger.error(`Error running reminders: ${error.message}`);
+  } finally {
+    runningReminders = false;
+  }
+}
+
+function startScheduler() {
+  setInterval(runDueReminders, REMINDER_CONFIG.pollInterval);
+  logger.info('Reminder scheduler started');
+}
+
+async function runCommand(command, args, message) {
+  const { commands } = REMINDER_CONFIG;
+  const { messages } = getConfig().reminders;
+  const user = await databaseService.findOrCreateUser(message.from);
+  const timezone = getTimezone(user);
+
+  if (command === commands.create) {
+    const parsed = parseReminderCommand(args, timezone);
+    if (!parsed || parsed.remindAt.getTime() <= Date.now()) {
+      return messages.usage;
+    }
+    const reminder = await createReminder(user, parsed);
+    return messages.created(`${formatDate(reminder.remind_at, timezone)}${describeRepeat(reminder)}`);
+  }
+
+  if (command === commands.list) {
+    const reminders = await listReminders(message.from);
+    return reminders.length === 0
+      ? messages.noReminders
+      : `${messages.listHeader}\n\n${reminders.map(formatReminder).join('\n')}`;
+  }
+
+  if (command === commands.snooze) {
+    // /snooze, /snooze 12, /snooze 2h or /snooze 12 2h
+    const [first, second] = args.split(/\s+/);
+    const reminderId = /^\d+$/.test(first) ? Number(first) : null;
+    const duration = reminderId ? second : first;
+    const minutes = duration ? parseDuration(duration) : REMINDER_CONFIG.defaultSnoozeMinutes;
+    if (!minutes) return messages.usage;
+
+    const snoozed = await snoozeReminder(message.from, reminderId, minutes);
+    return snoozed
+      ? messages.snoozed(formatDate(snoozed.remind_at, snoozed.timezone))
+      : messages.notFound;
+  }
+
+  if (command === commands.cancel) {
+    const cancelled = /^\d+$/.test(args) && await cancelReminder(message.from, Number(args));
+    return cancelled ? messages.cancelled : messages.notFound;
+  }
+
+  if (command === commands.timezone) {
+    if (!isValidTimeZone(args)) return messages.invalidTimezone;
+    await databaseService.setTimezone(message.from, args);
+    return messages.timezoneSet(args);
+  }
+
+  return null;
+}
+
+// Returns true when the message was a reminder command and has been handled
+async function handleReminderCommand(message) {
+  if (message.type !== 'text') return false;
+
+  const [command, ...rest] = message.text.body.trim().split(/\s+/);
+  if (!Object.values(REMINDER_CONFIG.commands).includes(command.toLowerCase())) return false;
+
+  const reply = await runCommand(command.toLowerCase(), rest.join(' '), message);
+  await whatsapp.sendText(message.from, reply, { replyTo: message.id });
+  return true;
+}
+
+module.exports = {
+  createReminder,
+  listReminders,
+  cancelReminder,
+  snoozeReminder,
+  formatReminder,
+  startScheduler,
+  runDueReminders,
+  handleReminderCommand
+};
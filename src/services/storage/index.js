@@ -0,0 +1,24 @@
+const botConfig = require('../../config/botConfig');
+const { createLocalStorage } = require('./localStorage');
+const { createSupabaseStorage } = require('./supabaseStorage');
+
+const factories = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage
+};
+
+const drivers = new Map();
+
+// Every stored file remembers its driver, so files stay readable after switching
+function getStorage(name) {
+  if (!drivers.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown media storage: ${name}`);
+    }
+    drivers.set(name, factory(botConfig.storage.drivers[name] || {}));
+  }
+  return drivers.get(name);
+}
+
+module.exports = { getStorage };
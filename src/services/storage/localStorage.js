@@ -0,0 +1,21 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Files on the server's disk, below config.directory
+function createLocalStorage(config) {
+  const root = path.resolve(config.directory);
+
+  return {
+    async save(key, buffer) {
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async read(key) {
+      return fs.readFile(path.join(root, key));
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
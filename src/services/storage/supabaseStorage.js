@@ -0,0 +1,21 @@
+const supabase = require('../../config/supabase');
+
+// Files in a Supabase Storage bucket, the bucket should be private
+function createSupabaseStorage(config) {
+  const bucket = () => supabase.storage.from(config.bucket);
+
+  return {
+    async save(key, buffer, mimeType) {
+      const { error } = await bucket().upload(key, buffer, { contentType: mimeType, upsert: true });
+      if (error) throw error;
+    },
+
+    async read(key) {
+      const { data, error } = await bucket().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
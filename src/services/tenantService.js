@@ -0,0 +1,98 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const botConfig = require('../config/botConfig');
+
+const DEFAULT_TENANT = 'default';
+
+// The tenant of the webhook, job or scheduled item being handled and the locale of the
+// user being answered, so the database, WhatsApp and config lookups below them don't
+// need them passed along
+const tenantStorage = new AsyncLocalStorage();
+const tenantConfigs = new Map();
+const mergedConfigs = new Map();
+
+function isPlainObject(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Nested sections are merged, everything else (values, arrays, functions) is replaced
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function getTenant(tenantId) {
+  const tenant = botConfig.tenants[tenantId];
+  if (!tenant) {
+    throw new Error(`Unknown tenant: ${tenantId}`);
+  }
+  return { id: tenantId, ...tenant };
+}
+
+function getTenantIds() {
+  return Object.keys(botConfig.tenants);
+}
+
+function findTenantByPhoneNumberId(phoneNumberId) {
+  const tenantId = getTenantIds().find(id => botConfig.tenants[id].phoneNumberId === phoneNumberId);
+  return tenantId ? getTenant(tenantId) : null;
+}
+
+function runWithTenant(tenantId, fn) {
+  return tenantStorage.run({ tenantId }, fn);
+}
+
+// Keeps the tenant, only the language of the system messages changes
+function runWithLocale(locale, fn) {
+  return tenantStorage.run({ ...tenantStorage.getStore(), locale }, fn);
+}
+
+function getCurrentTenantId() {
+  return tenantStorage.getStore()?.tenantId || DEFAULT_TENANT;
+}
+
+function getCurrentTenant() {
+  return getTenant(getCurrentTenantId());
+}
+
+// botConfig with the overrides of the current tenant (persona, prompts, pricing, blocked countries)
+function getTenantConfig() {
+  const tenantId = getCurrentTenantId();
+  if (!tenantConfigs.has(tenantId)) {
+    tenantConfigs.set(tenantId, mergeConfig(botConfig, getTenant(tenantId).overrides));
+  }
+  return tenantConfigs.get(tenantId);
+}
+
+// Locales without a catalog fall back to the default locale of the tenant
+function getCurrentLocale() {
+  const { defaultLocale, locales } = getTenantConfig().localization;
+  const locale = tenantStorage.getStore()?.locale;
+  return locale && locales[locale] ? locale : defaultLocale;
+}
+
+// The tenant config with the system messages translated into the current locale
+function getConfig() {
+  const locale = getCurrentLocale();
+  const key = `${getCurrentTenantId()}:${locale}`;
+  if (!mergedConfigs.has(key)) {
+    const config = getTenantConfig();
+    mergedConfigs.set(key, mergeConfig(config, config.localization.locales[locale]?.messages));
+  }
+  return mergedConfigs.get(key);
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  getTenant,
+  getTenantIds,
+  findTenantByPhoneNumberId,
+  runWithTenant,
+  runWithLocale,
+  getCurrentTenantId,
+  getCurrentTenant,
+  getCurrentLocale,
+  getConfig
+};
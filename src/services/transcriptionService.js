@@ -1,90 +1,62 @@
-const axios = require('axios');
-const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
 const botConfig = require('../config/botConfig');
-const fs = require('fs');
-const path = require('path');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Ensure temp directory exists
-const tempDir = path.join(__dirname, '..', '..', 'temp');
-if (!fs.existsSync(tempDir)) {
-  fs.mkdirSync(tempDir, { recursive: true });
-}
-
-async function transcribeAudio(mediaId) {
-  let tempFilePath = null;
+const { getConfig } = require('./tenantService');
+const { getMediaInfo, downloadMedia } = require('./mediaService');
+const { getTranscriptionProvider } = require('../ai/transcription');
+const { getOggOpusDuration, probeDuration } = require('../utils/mediaDuration');
+
+// Transcription APIs tell the format from the file extension
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr'
+};
+
+// Returns { text }, or { rejected: true } for voice messages over the size or duration
+// limit of whatsapp.messageTypes.audio. language: the user's locale, passed as a hint.
+// The file is held in memory in full (at most maxSize bytes) and never written to disk.
+async function transcribeAudio(mediaId, { language } = {}) {
+  const { maxSize, maxDuration } = getConfig().whatsapp.messageTypes.audio;
   try {
-    logger.info('Starting audio transcription process');
-    const audioBuffer = await downloadAudioFromWhatsApp(mediaId);
-    logger.info('Audio downloaded successfully');
-
-    tempFilePath = path.join(tempDir, `${mediaId}.ogg`);
-    fs.writeFileSync(tempFilePath, audioBuffer);
-    logger.info('Audio file saved to temp directory');
-
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: botConfig.ai.model.audioTranscriptionModel || "whisper-1",
-    });
-    logger.info('Audio transcription completed');
+    const info = await getMediaInfo(mediaId);
+    if (info.file_size > maxSize) {
+      logger.info(`Voice message of ${info.file_size} bytes is over the ${maxSize} byte limit`);
+      return { rejected: true };
+    }
 
-    return transcription.text;
-  } catch (error) {
-    logger.error(`Error transcribing audio: ${error.message}`);
-    logger.error(error.stack);
-    throw new Error(botConfig.ai.prompts.audio.transcriptionError);
-  } finally {
-    // Clean up temp file
-    if (tempFilePath && fs.existsSync(tempFilePath)) {
-      try {
-        fs.unlinkSync(tempFilePath);
-        logger.info('Temp file cleaned up');
-      } catch (cleanupError) {
-        logger.error(`Error cleaning up temp file: ${cleanupError.message}`);
-      }
+    const buffer = await downloadMedia(info.url);
+    // WhatsApp reports voice notes as "audio/ogg; codecs=opus"
+    const mimeType = (info.mime_type || 'audio/ogg').split(';')[0].trim();
+    // Voice notes are read directly, other formats (mp3, m4a, aac, amr) through ffmpeg.
+    // When the length can't be read only the byte limit applies.
+    const duration = getOggOpusDuration(buffer) ?? await probeDuration(buffer);
+    if (duration === null) {
+      logger.info(`Could not read the length of an ${mimeType} voice message, checking its size only`);
+    }
+    const length = duration === null ? 'unknown length' : `${Math.round(duration)}s`;
+    if (buffer.length > maxSize || duration > maxDuration) {
+      logger.info(`Voice message of ${buffer.length} bytes and ${length} is over the limits`);
+      return { rejected: true };
     }
-  }
-}
 
-async function downloadAudioFromWhatsApp(mediaId) {
-  try {
-    logger.info('Getting media URL');
-    const mediaUrl = await getMediaUrl(mediaId);
-    logger.info('Downloading audio from URL');
-    const response = await axios.get(mediaUrl, {
-      responseType: 'arraybuffer',
-      headers: {
-        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
-      }
+    const { provider, languageHint } = getConfig().ai.transcription;
+    const text = await getTranscriptionProvider(provider).transcribe(buffer, {
+      filename: `voice.${EXTENSIONS[mimeType] || botConfig.files.audioFormat}`,
+      mimeType,
+      language: languageHint && language ? language.split('-')[0] : null
     });
-    logger.info('Audio download completed');
-    return Buffer.from(response.data);
-  } catch (error) {
-    logger.error(`Error downloading audio from WhatsApp: ${error.message}`);
-    logger.error(error.stack);
-    throw error;
-  }
-}
+    logger.info(`Transcribed a voice message of ${length} with ${provider}`);
 
-async function getMediaUrl(mediaId) {
-  try {
-    const response = await axios.get(
-      `https://graph.facebook.com/v20.0/${mediaId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
-        }
-      }
-    );
-    return response.data.url;
+    return { text };
   } catch (error) {
-    logger.error(`Error getting media URL: ${error.message}`);
+    logger.error(`Error transcribing audio: ${error.message}`);
     logger.error(error.stack);
-    throw error;
+    // Retried by the queue, the user gets ai.prompts.audio.transcriptionError if it keeps failing
+    const failure = new Error(`Transcription failed: ${error.message}`);
+    failure.code = 'TRANSCRIPTION_FAILED';
+    throw failure;
   }
 }
 
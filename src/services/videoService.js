@@ -0,0 +1,46 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const botConfig = require('../config/botConfig');
+const { getFileDuration } = require('../utils/mediaDuration');
+
+const execFileAsync = promisify(execFile);
+const tempDir = path.join(__dirname, '..', '..', botConfig.files.tempDir);
+
+// Evenly spaced JPEG frames of a video as buffers, plus its duration in seconds.
+// Videos longer than maxDuration are not sampled: { duration, frames: [] }.
+async function sampleVideoFrames(buffer, { frames, frameWidth, maxDuration }) {
+  fs.mkdirSync(tempDir, { recursive: true });
+  const workDir = fs.mkdtempSync(path.join(tempDir, 'video-'));
+  try {
+    const videoPath = path.join(workDir, 'input');
+    fs.writeFileSync(videoPath, buffer);
+
+    const duration = await getFileDuration(videoPath);
+    if (duration > maxDuration) {
+      return { duration, frames: [] };
+    }
+
+    await execFileAsync(botConfig.files.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', videoPath,
+      '-vf', `fps=${frames / Math.max(duration, 1)},scale=${frameWidth}:-2`,
+      '-frames:v', String(frames),
+      '-q:v', '4',
+      path.join(workDir, 'frame-%02d.jpg')
+    ]);
+
+    const framePaths = fs.readdirSync(workDir).filter(name => name.startsWith('frame-')).sort();
+    logger.info(`Sampled ${framePaths.length} frames from a ${duration.toFixed(1)}s video`);
+    return { duration, frames: framePaths.map(name => fs.readFileSync(path.join(workDir, name))) };
+  } catch (error) {
+    logger.error(`Error sampling video frames: ${error.message}`);
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { sampleVideoFrames };
@@ -0,0 +1,139 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./databaseService');
+const whatsapp = require('./whatsappService');
+const logger = require('../utils/logger');
+const botConfig = require('../config/botConfig');
+const { getConfig } = require('./tenantService');
+const { uploadMedia } = require('./mediaService');
+const { getSpeechProvider } = require('../ai/speech');
+
+const execFileAsync = promisify(execFile);
+const tempDir = path.join(__dirname, '..', '..', botConfig.files.tempDir);
+
+// Words of the voice command and the modes they select
+const COMMAND_MODES = { on: 'always', off: 'off', auto: 'mirror' };
+
+function getVoiceMode(user) {
+  return user?.voice_replies || getConfig().voice.mode;
+}
+
+// voiceNote: the user spoke (part of) the message this answers
+function shouldReplyByVoice(user, voiceNote, text) {
+  const mode = getVoiceMode(user);
+  if (mode === 'off' || (mode === 'mirror' && !voiceNote)) return false;
+  return text.length <= getConfig().voice.maxLength;
+}
+
+// Markdown, links and emoji bullets read badly aloud
+function toSpokenText(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/^#+\s*/gm, '')
+    .replace(/^\s*[-*•]\s+/gm, '')
+    .replace(/[*_~`|]/g, '')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// WhatsApp plays OGG/Opus as a voice note, other provider formats are converted with ffmpeg
+async function encodeOggOpus(buffer, format) {
+  fs.mkdirSync(tempDir, { recursive: true });
+  const workDir = fs.mkdtempSync(path.join(tempDir, 'voice-'));
+  try {
+    const inputPath = path.join(workDir, `input.${format}`);
+    const outputPath = path.join(workDir, 'output.ogg');
+    fs.writeFileSync(inputPath, buffer);
+
+    await execFileAsync(botConfig.files.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', inputPath,
+      '-c:a', 'libopus', '-b:a', '32k', '-ac', '1',
+      outputPath
+    ]);
+    return fs.readFileSync(outputPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error('ffmpeg is not installed');
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function synthesizeVoiceNote(text) {
+  const { buffer, format } = await getSpeechProvider(getConfig().voice.provider).synthesize(toSpokenText(text));
+  return format === 'opus' ? buffer : encodeOggOpus(buffer, format);
+}
+
+// Sends the AI answer as a voice note when the user's mode asks for it, as text otherwise.
+// The spoken text is kept in outbound_messages for the text command.
+async function sendReply(to, text, { replyTo, user, voiceNote }) {
+  if (!shouldReplyByVoice(user, voiceNote, text)) {
+    return whatsapp.sendText(to, text, { replyTo });
+  }
+
+  try {
+    const audio = await synthesizeVoiceNote(text);
+    const mediaId = await uploadMedia(audio, 'audio/ogg', 'reply.ogg');
+    const result = await whatsapp.sendAudio(to, { id: mediaId }, { replyTo, content: text });
+    if (result.status === 'success') {
+      logger.info(`Voice reply sent to ${to}`);
+      return result;
+    }
+  } catch (error) {
+    logger.error(`Error sending voice reply to ${to}: ${error.message}`);
+  }
+
+  // The answer still reaches the user when speech or the upload fails
+  return whatsapp.sendText(to, text, { replyTo });
+}
+
+// A reply to one of our voice notes gets the text of that note, otherwise the newest one
+async function sendTextCopy(message) {
+  const quoted = message.context?.id;
+  const text = quoted
+    ? await databaseService.getOutboundMessageContent(quoted)
+    : await databaseService.getLastVoiceReplyContent(message.from);
+
+  await whatsapp.sendText(message.from, text || getConfig().voice.messages.noVoiceReply, { replyTo: message.id });
+}
+
+async function runVoiceCommand(choice, message) {
+  const { messages } = getConfig().voice;
+  const mode = COMMAND_MODES[choice];
+
+  if (!mode) {
+    const user = await databaseService.findOrCreateUser(message.from);
+    return messages.current(messages.modes[getVoiceMode(user)]);
+  }
+
+  await databaseService.setVoiceReplies(message.from, mode);
+  logger.info(`User ${message.from} set voice replies to ${mode}`);
+  return messages.changed(messages.modes[mode]);
+}
+
+// Returns true when the message was the voice or text command and has been handled
+async function handleVoiceCommand(message) {
+  if (message.type !== 'text') return false;
+
+  const { command, textCommand } = getConfig().voice;
+  const [word, choice = ''] = message.text.body.trim().toLowerCase().split(/\s+/);
+
+  if (word === textCommand) {
+    await sendTextCopy(message);
+    return true;
+  }
+  if (word !== command) return false;
+
+  const reply = await runVoiceCommand(choice, message);
+  await whatsapp.sendText(message.from, reply, { replyTo: message.id });
+  return true;
+}
+
+module.exports = {
+  sendReply,
+  handleVoiceCommand
+};
@@ -1,62 +1,201 @@
 const axios = require('axios');
+const databaseService = require('./databaseService');
+const { getCurrentTenant } = require('./tenantService');
 const logger = require('../utils/logger');
 const botConfig = require('../config/botConfig');
+const { formatForWhatsApp, splitMessage } = require('../utils/whatsappFormatter');
 
-const sentMessages = new Map();
-const MESSAGE_EXPIRY = botConfig.whatsapp.messageExpiry;
+// Every outbound message is logged, a failing log write must never block the send
+async function logOutboundMessage(record) {
+  try {
+    await databaseService.saveOutboundMessage(record);
+  } catch (error) {
+    logger.error(`Failed to log outbound message to ${record.userId}: ${error.message}`);
+  }
+}
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, timestamp] of sentMessages) {
-    if (now - timestamp > MESSAGE_EXPIRY) {
-      sentMessages.delete(id);
-    }
+// Posts a single message to the Cloud API from the current tenant's number and logs the outcome
+async function postMessage(to, payload, { replyTo, content }) {
+  try {
+    const { phoneNumberId, accessToken } = getCurrentTenant();
+    const response = await axios.post(
+      `${botConfig.whatsapp.endpoints.mediaUrl}/${phoneNumberId}/messages`,
+      {
+        messaging_product: "whatsapp",
+        to: to,
+        ...payload
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const messageId = response.data?.messages?.[0]?.id;
+
+    await logOutboundMessage({
+      messageId,
+      userId: to,
+      replyTo,
+      type: payload.type,
+      content,
+      status: 'accepted'
+    });
+
+    return {
+      status: 'success',
+      messageId,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    logger.error('Error sending WhatsApp message:', error);
+    logger.error('Error details:', error.response?.data || error.message);
+
+    await logOutboundMessage({
+      userId: to,
+      replyTo,
+      type: payload.type,
+      content,
+      status: 'failed',
+      error: error.response?.data || { message: error.message }
+    });
+
+    return {
+      status: 'error',
+      error: error.message,
+      timestamp: Date.now()
+    };
   }
-}, 60000);
+}
 
 const whatsapp = {
-  sendText: async (to, text) => {
-    try {
-      const messageId = `${to}-${Date.now()}`;
-      
-      if (sentMessages.has(messageId)) {
-        logger.info(`Skipping duplicate outgoing message: ${messageId}`);
-        return null;
+  // options.replyTo: WhatsApp message ID of the inbound message this answers
+  sendText: async (to, text, options = {}) => {
+    const body = botConfig.whatsapp.formatting.convertMarkdown ? formatForWhatsApp(text) : text;
+    const chunks = splitMessage(body);
+    const messageIds = [];
+
+    // Parts are sent one after another so they arrive in order
+    for (const chunk of chunks) {
+      const result = await postMessage(
+        to,
+        { type: "text", text: { body: chunk } },
+        { replyTo: options.replyTo, content: chunk }
+      );
+
+      if (result.status !== 'success') {
+        return { ...result, messageIds };
       }
+      messageIds.push(result.messageId);
+    }
 
-      const response = await axios.post(
-        `${botConfig.whatsapp.endpoints.mediaUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
-        {
-          messaging_product: "whatsapp",
-          to: to,
-          type: "text",
-          text: { body: text }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-            'Content-Type': 'application/json'
+    logger.info(`Message sent successfully to ${to} in ${chunks.length} part(s)`);
+
+    return {
+      status: 'success',
+      messageId: messageIds[0],
+      messageIds,
+      timestamp: Date.now()
+    };
+  },
+
+  // Voice replies, options.content is the spoken text for the outbound log
+  sendAudio: async (to, media, options = {}) => {
+    return postMessage(
+      to,
+      { type: "audio", audio: media },
+      { replyTo: options.replyTo, content: options.content || media.link || media.id }
+    );
+  },
+
+  // buttons: up to 3 of { id, title }, titles max 20 characters
+  sendButtons: async (to, body, buttons, options = {}) => {
+    return postMessage(
+      to,
+      {
+        type: "interactive",
+        interactive: {
+          type: "button",
+          body: { text: body },
+          action: {
+            buttons: buttons.map(button => ({
+              type: "reply",
+              reply: { id: button.id, title: button.title }
+            }))
           }
         }
-      );
+      },
+      { replyTo: options.replyTo, content: body }
+    );
+  },
 
-      sentMessages.set(messageId, Date.now());
-      logger.info(`Message sent successfully to ${to}`);
-
-      return {
-        status: 'success',
-        messageId: response.data?.messages?.[0]?.id,
-        timestamp: Date.now()
-      };
-    } catch (error) {
-      logger.error('Error sending WhatsApp message:', error);
-      logger.error('Error details:', error.response?.data || error.message);
-      return {
-        status: 'error',
-        error: error.message,
-        timestamp: Date.now()
-      };
-    }
+  // sections: [{ title, rows: [{ id, title, description }] }], max 10 rows in total
+  sendList: async (to, body, buttonText, sections, options = {}) => {
+    return postMessage(
+      to,
+      {
+        type: "interactive",
+        interactive: {
+          type: "list",
+          body: { text: body },
+          action: { button: buttonText, sections }
+        }
+      },
+      { replyTo: options.replyTo, content: body }
+    );
+  },
+
+  // A button that opens a URL, used instead of pasting bare links
+  sendUrlButton: async (to, body, displayText, url, options = {}) => {
+    return postMessage(
+      to,
+      {
+        type: "interactive",
+        interactive: {
+          type: "cta_url",
+          body: { text: body },
+          action: {
+            name: "cta_url",
+            parameters: { display_text: displayText, url }
+          }
+        }
+      },
+      { replyTo: options.replyTo, content: `${body} ${url}` }
+    );
+  },
+
+  // Approved templates are the only messages allowed outside the 24-hour window.
+  // components: [{ type: "body", parameters: [{ type: "text", text }] }, ...]
+  sendTemplate: async (to, templateName, languageCode, components = [], options = {}) => {
+    return postMessage(
+      to,
+      {
+        type: "template",
+        template: {
+          name: templateName,
+          language: { code: languageCode },
+          ...(components.length ? { components } : {})
+        }
+      },
+      { replyTo: options.replyTo, content: `template:${templateName}` }
+    );
+  },
+
+  sendLocationRequest: async (to, body, options = {}) => {
+    return postMessage(
+      to,
+      {
+        type: "interactive",
+        interactive: {
+          type: "location_request_message",
+          body: { text: body },
+          action: { name: "send_location" }
+        }
+      },
+      { replyTo: options.replyTo, content: body }
+    );
   }
 };
 
@@ -0,0 +1,41 @@
+const { getConfig } = require('../services/tenantService');
+const { parseWhatsAppNumber } = require('./phoneNumber');
+
+// Entries are regions ("IN") or calling codes ("91" or "+91", covering every region that shares it)
+function isListed(number, list) {
+  return list.some(entry => {
+    const value = String(entry).trim().toUpperCase();
+    return /^\+?\d+$/.test(value)
+      ? value.replace('+', '') === number.callingCode
+      : value === number.country;
+  });
+}
+
+// Applies the country policy of the tenant handling the message.
+// Returns { status, country, callingCode, plan } with status "allowed", "blocked", or
+// "restricted" for blocked countries served on the soft-mode plan.
+function getCountryAccess(phoneNumber) {
+  const { mode, list, softPlan, blockUnknown } = getConfig().access.countries;
+  const number = parseWhatsAppNumber(phoneNumber);
+  const result = { country: number?.country || null, callingCode: number?.callingCode || null, plan: null };
+
+  let blocked;
+  if (!number) {
+    blocked = blockUnknown;
+  } else {
+    blocked = mode === 'allow' ? !isListed(number, list) : isListed(number, list);
+  }
+
+  if (!blocked) return { ...result, status: 'allowed' };
+  if (softPlan) return { ...result, status: 'restricted', plan: softPlan };
+  return { ...result, status: 'blocked' };
+}
+
+function isBlockedCountry(phoneNumber) {
+  return getCountryAccess(phoneNumber).status === 'blocked';
+}
+
+module.exports = {
+  getCountryAccess,
+  isBlockedCountry
+};
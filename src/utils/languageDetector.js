@@ -0,0 +1,22 @@
+// Guesses the language of a message by counting common words of each locale.
+// locales: { code: { words: [...] } }, returns the code or null when no locale
+// reaches minScore or two locales are tied.
+function detectLanguage(text, locales, minScore = 1) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length === 0) return null;
+
+  const scores = Object.entries(locales)
+    .map(([code, locale]) => {
+      const known = new Set(locale.words || []);
+      return { code, score: words.filter(word => known.has(word)).length };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best || best.score < minScore || (second && second.score === best.score)) {
+    return null;
+  }
+  return best.code;
+}
+
+module.exports = { detectLanguage };
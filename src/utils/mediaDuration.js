@@ -0,0 +1,63 @@
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const botConfig = require('../config/botConfig');
+
+const execFileAsync = promisify(execFile);
+
+const OPUS_SAMPLE_RATE = 48000;
+
+// Duration in seconds of an OGG/Opus file (WhatsApp voice notes), read from the granule
+// position of its last page without decoding. null when the file isn't OGG/Opus.
+function getOggOpusDuration(buffer) {
+  const head = buffer.indexOf('OpusHead');
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (head === -1 || lastPage === -1 || lastPage + 14 > buffer.length || head + 12 > buffer.length) {
+    return null;
+  }
+
+  const preSkip = buffer.readUInt16LE(head + 10);
+  const granulePosition = Number(buffer.readBigInt64LE(lastPage + 6));
+  if (granulePosition < 0) return null;
+
+  return Math.max(granulePosition - preSkip, 0) / OPUS_SAMPLE_RATE;
+}
+
+// ffmpeg prints the duration of its input on stderr, "Duration: N/A" when it can't tell
+function parseDuration(output) {
+  const match = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// ffmpeg exits with an error when given no output, the duration is in that error's stderr
+async function getFileDuration(filePath) {
+  let output = '';
+  try {
+    await execFileAsync(botConfig.files.ffmpegPath, ['-hide_banner', '-i', filePath]);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error('ffmpeg is not installed');
+    output = error.stderr || '';
+  }
+
+  const duration = parseDuration(output);
+  if (duration === null) throw new Error('Could not read the media duration');
+  return duration;
+}
+
+// Duration in seconds of audio or video in memory, piped into ffmpeg so nothing is written
+// to disk. null when it can't be read: ffmpeg is missing or the container doesn't say.
+function probeDuration(buffer) {
+  return new Promise(resolve => {
+    const ffmpeg = spawn(botConfig.files.ffmpegPath, ['-hide_banner', '-i', 'pipe:0']);
+    let output = '';
+
+    ffmpeg.stderr.on('data', chunk => { output += chunk; });
+    ffmpeg.on('error', () => resolve(null));
+    ffmpeg.on('close', () => resolve(parseDuration(output)));
+    // ffmpeg stops reading once it has the header, the rest of the write fails with EPIPE
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(buffer);
+  });
+}
+
+module.exports = { getOggOpusDuration, getFileDuration, probeDuration };
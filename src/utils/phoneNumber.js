@@ -0,0 +1,22 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// WhatsApp sends numbers as digits in international format without the plus (wa_id).
+// Returns { e164, callingCode, country, valid } or null when it isn't a phone number.
+// country is the ISO 3166 region (e.g. "JM" for +1 876), null when the calling code is
+// shared and the number matches none of its regions.
+function parseWhatsAppNumber(waId) {
+  const digits = String(waId || '').replace(/\D/g, '');
+  if (!digits) return null;
+
+  const phoneNumber = parsePhoneNumberFromString(`+${digits}`);
+  if (!phoneNumber) return null;
+
+  return {
+    e164: phoneNumber.number,
+    callingCode: phoneNumber.countryCallingCode,
+    country: phoneNumber.country || null,
+    valid: phoneNumber.isValid()
+  };
+}
+
+module.exports = { parseWhatsAppNumber };
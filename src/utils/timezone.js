@@ -0,0 +1,84 @@
+// Timezone arithmetic on top of Intl, so wall-clock times survive daylight saving changes
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of a date in a timezone, month is 1-based
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+}
+
+function getOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// The moment a wall-clock time happens in a timezone. Out of range days and months roll over like Date.UTC
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffset(wallClock - getOffset(wallClock, timeZone), timeZone);
+  return new Date(wallClock - offset);
+}
+
+// Adds days, weeks or months in local time, so 09:00 stays 09:00 across DST changes.
+// anchorDay: day of the month that monthly repeats return to, so Jan 31 goes to Feb 28 and then Mar 31
+function addInterval(date, { interval, unit, anchorDay }, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+
+  if (unit === 'month') {
+    // Jan 31 + 1 month is the last day of February, not early March
+    const lastDay = new Date(Date.UTC(parts.year, parts.month - 1 + interval + 1, 0)).getUTCDate();
+    return zonedTimeToUtc({ ...parts, month: parts.month + interval, day: Math.min(anchorDay || parts.day, lastDay) }, timeZone);
+  }
+
+  const days = unit === 'week' ? interval * 7 : interval;
+  return zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone);
+}
+
+// Short local date and time, with the year only when it isn't the current one
+function formatInTimeZone(date, timeZone, locale = 'en-GB') {
+  const sameYear = getZonedParts(date, timeZone).year === getZonedParts(new Date(), timeZone).year;
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: sameYear ? undefined : 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addInterval,
+  formatInTimeZone
+};
@@ -0,0 +1,119 @@
+const botConfig = require('../config/botConfig');
+
+const BOLD_PLACEHOLDER = '\u0001';
+const CODE_PLACEHOLDER = (index) => `\u0002${index}\u0002`;
+
+function flattenTableRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map(cell => cell.trim())
+    .filter(Boolean);
+  return cells.join(' – ');
+}
+
+// Converts the Markdown GPT likes to produce into WhatsApp's *bold*, _italic_ and ~strike~ syntax
+function formatForWhatsApp(markdown) {
+  if (!markdown) return '';
+
+  // Keep code untouched, WhatsApp renders ``` blocks and `inline` code itself
+  const codeSegments = [];
+  let text = markdown.replace(/```[\s\S]*?```|`[^`\n]+`/g, (code) => {
+    codeSegments.push(code);
+    return CODE_PLACEHOLDER(codeSegments.length - 1);
+  });
+
+  text = text
+    .split('\n')
+    .map(line => {
+      // Table separator rows and horizontal rules carry no content
+      if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return null;
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return null;
+
+      if (/^\s*\|.*\|\s*$/.test(line)) return flattenTableRow(line);
+
+      const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) return `${BOLD_PLACEHOLDER}${heading[1].replace(/\*\*/g, '')}${BOLD_PLACEHOLDER}`;
+
+      // Bullets, so a leading "* " is not mistaken for italic
+      return line.replace(/^(\s*)[-*+]\s+/, '$1• ');
+    })
+    .filter(line => line !== null)
+    .join('\n');
+
+  text = text
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) =>
+      !label || label === url ? url : `${label} (${url})`)
+    // Bold italic before bold, so ***both*** becomes *_both_* and not *_both*_
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, `${BOLD_PLACEHOLDER}_$1_${BOLD_PLACEHOLDER}`)
+    .replace(/(^|\W)___(?=\S)([\s\S]*?\S)___(?!\w)/g, `$1${BOLD_PLACEHOLDER}_$2_${BOLD_PLACEHOLDER}`)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, `${BOLD_PLACEHOLDER}$1${BOLD_PLACEHOLDER}`)
+    // Underscores inside words and identifiers like __init__ are not emphasis
+    .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, (match, before, content) =>
+      /^\w+$/.test(content) ? match : `${before}${BOLD_PLACEHOLDER}${content}${BOLD_PLACEHOLDER}`)
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1_$2_')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~')
+    .replace(new RegExp(BOLD_PLACEHOLDER, 'g'), '*')
+    .replace(/\u0002(\d+)\u0002/g, (match, index) => codeSegments[Number(index)])
+    .replace(/\n{3,}/g, '\n\n');
+
+  return text.trim();
+}
+
+function splitLongPart(part, limit) {
+  const chunks = [];
+  let rest = part;
+  while (rest.length > limit) {
+    // Prefer the last whitespace before the limit, cut hard when there is none
+    let cut = rest.lastIndexOf(' ', limit);
+    if (cut <= 0) cut = limit;
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+// Greedily packs pieces into chunks no longer than the limit
+function packPieces(pieces, separator, limit) {
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (candidate.length <= limit) {
+      current = candidate;
+    } else {
+      if (current) chunks.push(current);
+      current = piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Splits a reply into ordered chunks at paragraph, line, then sentence boundaries.
+// Pieces are joined again with the separator they were split on.
+function splitMessage(text, limit = botConfig.whatsapp.formatting.maxMessageLength) {
+  if (!text) return [];
+  if (text.length <= limit) return [text];
+
+  const splitLine = line => {
+    if (line.length <= limit) return [line];
+    const sentences = line
+      .split(/(?<=[.!?…])\s+/)
+      .flatMap(sentence => sentence.length <= limit ? [sentence] : splitLongPart(sentence, limit));
+    return packPieces(sentences, ' ', limit);
+  };
+
+  const pieces = text
+    .split(/\n{2,}/)
+    .flatMap(paragraph => {
+      if (paragraph.length <= limit) return [paragraph];
+      return packPieces(paragraph.split('\n').flatMap(splitLine), '\n', limit);
+    });
+
+  return packPieces(pieces, '\n\n', limit);
+}
+
+module.exports = { formatForWhatsApp, splitMessage };
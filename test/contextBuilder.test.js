@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const botConfig = require('../src/config/botConfig');
+const { buildChatMessages, countTokens } = require('../src/ai/contextBuilder');
+
+const SYSTEM_PROMPT = 'You are a friendly plant doctor.';
+
+// Two saved turns, oldest first as getConversationContext returns them
+const history = [
+  { role: 'user', content: 'My monstera has yellow leaves.', media_ids: [4] },
+  { role: 'assistant', content: 'Yellow leaves usually mean too much water.' },
+  { role: 'user', content: 'I water it every day.', media_ids: [] },
+  { role: 'assistant', content: 'Let the top soil dry out between waterings.' }
+];
+
+const content = [{ type: 'text', text: 'Should I repot it?' }];
+
+// Runs with a smaller token budget and restores the configured one afterwards
+function withTokenBudget(tokenBudget, fn) {
+  const configured = botConfig.ai.context.tokenBudget;
+  botConfig.ai.context.tokenBudget = tokenBudget;
+  try {
+    return fn();
+  } finally {
+    botConfig.ai.context.tokenBudget = configured;
+  }
+}
+
+test('sends the system prompt, the whole history and the new message in order', () => {
+  assert.deepStrictEqual(buildChatMessages({ systemPrompt: SYSTEM_PROMPT, memory: null, history, content }), [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: 'My monstera has yellow leaves.' },
+    { role: 'assistant', content: 'Yellow leaves usually mean too much water.' },
+    { role: 'user', content: 'I water it every day.' },
+    { role: 'assistant', content: 'Let the top soil dry out between waterings.' },
+    { role: 'user', content: [{ type: 'text', text: 'Should I repot it?' }] }
+  ]);
+});
+
+test('appends the long-term memory to the system prompt', () => {
+  const memory = 'About the user: has a monstera in a north window.';
+  const [system] = buildChatMessages({ systemPrompt: SYSTEM_PROMPT, memory, history: [], content });
+
+  assert.deepStrictEqual(system, { role: 'system', content: `${SYSTEM_PROMPT}\n\n${memory}` });
+});
+
+test('keeps the newest turns that fit the token budget', () => {
+  const system = { role: 'system', content: SYSTEM_PROMPT };
+  const current = { role: 'user', content };
+  const lastTurn = history.slice(2).map(({ role, content }) => ({ role, content }));
+  const budget = [system, current, ...lastTurn].reduce((total, message) => total + countTokens(message), 0);
+
+  const messages = withTokenBudget(budget, () =>
+    buildChatMessages({ systemPrompt: SYSTEM_PROMPT, memory: null, history, content }));
+
+  assert.deepStrictEqual(messages, [system, ...lastTurn, current]);
+});
+
+test('drops an assistant message left at the start after trimming', () => {
+  const system = { role: 'system', content: SYSTEM_PROMPT };
+  const current = { role: 'user', content };
+  // Room for the last assistant message, not for the user message before it
+  const budget = countTokens(system) + countTokens(current) + countTokens(history[3]);
+
+  const messages = withTokenBudget(budget, () =>
+    buildChatMessages({ systemPrompt: SYSTEM_PROMPT, memory: null, history, content }));
+
+  assert.deepStrictEqual(messages, [system, current]);
+});
+
+test('passes images attached to the history through', () => {
+  const image = { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } };
+  const withImage = [
+    { role: 'user', content: [{ type: 'text', text: 'My monstera has yellow leaves.' }, image], media_ids: [4] },
+    history[1]
+  ];
+
+  assert.deepStrictEqual(buildChatMessages({ systemPrompt: SYSTEM_PROMPT, memory: null, history: withImage, content }), [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: [{ type: 'text', text: 'My monstera has yellow leaves.' }, image] },
+    { role: 'assistant', content: 'Yellow leaves usually mean too much water.' },
+    { role: 'user', content: [{ type: 'text', text: 'Should I repot it?' }] }
+  ]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const botConfig = require('../src/config/botConfig');
+const { runWithTenant } = require('../src/services/tenantService');
+const { getCountryAccess } = require('../src/utils/countryPolicy');
+
+const US = '12025550123';
+const JAMAICA = '18765550123';
+const INDIA = '919876543210';
+const GERMANY = '4915112345678';
+const UNPARSEABLE = '99912345';
+
+const deny = { mode: 'deny', softPlan: null, blockUnknown: false };
+const allow = { mode: 'allow', softPlan: null, blockUnknown: false };
+
+// [description, access.countries of the tenant, number, expected status]
+const cases = [
+  ['deny mode blocks a listed region', { ...deny, list: ['IN'] }, INDIA, 'blocked'],
+  ['deny mode allows an unlisted region', { ...deny, list: ['IN'] }, GERMANY, 'allowed'],
+  ['deny mode with a region only blocks that region of a shared code', { ...deny, list: ['JM'] }, JAMAICA, 'blocked'],
+  ['deny mode with a region leaves the other regions of the code alone', { ...deny, list: ['JM'] }, US, 'allowed'],
+  ['deny mode with a calling code blocks every region sharing it', { ...deny, list: ['1'] }, JAMAICA, 'blocked'],
+  ['calling codes can be written with a plus', { ...deny, list: ['+91'] }, INDIA, 'blocked'],
+  ['regions are matched case-insensitively', { ...deny, list: ['in'] }, INDIA, 'blocked'],
+  ['allow mode serves a listed region', { ...allow, list: ['US'] }, US, 'allowed'],
+  ['allow mode with a region refuses the other regions of the code', { ...allow, list: ['US'] }, JAMAICA, 'blocked'],
+  ['allow mode with a calling code serves every region sharing it', { ...allow, list: ['1'] }, JAMAICA, 'allowed'],
+  ['allow mode refuses unlisted regions', { ...allow, list: ['US', '44'] }, GERMANY, 'blocked'],
+  ['unparseable numbers pass by default', { ...deny, list: ['IN'] }, UNPARSEABLE, 'allowed'],
+  ['blockUnknown refuses unparseable numbers', { ...deny, list: ['IN'], blockUnknown: true }, UNPARSEABLE, 'blocked'],
+  ['blockUnknown also applies in allow mode', { ...allow, list: ['US'], blockUnknown: true }, UNPARSEABLE, 'blocked'],
+  ['soft mode serves blocked countries on the soft plan', { ...deny, list: ['IN'], softPlan: 'restricted' }, INDIA, 'restricted'],
+  ['soft mode leaves allowed countries on their plan', { ...deny, list: ['IN'], softPlan: 'restricted' }, GERMANY, 'allowed'],
+  ['soft mode also applies to unknown numbers', { ...deny, list: [], blockUnknown: true, softPlan: 'restricted' }, UNPARSEABLE, 'restricted']
+];
+
+// Every case runs as its own tenant, so the policy comes from the regular tenant overrides
+cases.forEach(([description, countries, number, status], index) => {
+  test(`getCountryAccess: ${description}`, () => {
+    const tenantId = `country-policy-${index}`;
+    botConfig.tenants[tenantId] = { overrides: { access: { countries } } };
+
+    const access = runWithTenant(tenantId, () => getCountryAccess(number));
+    assert.strictEqual(access.status, status);
+    assert.strictEqual(access.plan, status === 'restricted' ? countries.softPlan : null);
+  });
+});
+
+test('getCountryAccess reports the region and calling code of the number', () => {
+  botConfig.tenants['country-policy-details'] = { overrides: { access: { countries: { ...deny, list: ['JM'] } } } };
+
+  assert.deepStrictEqual(runWithTenant('country-policy-details', () => getCountryAccess(JAMAICA)), {
+    country: 'JM',
+    callingCode: '1',
+    plan: null,
+    status: 'blocked'
+  });
+  assert.deepStrictEqual(runWithTenant('country-policy-details', () => getCountryAccess(UNPARSEABLE)), {
+    country: null,
+    callingCode: null,
+    plan: null,
+    status: 'allowed'
+  });
+});
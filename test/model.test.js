@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Required by modules the tools load, no request reaches them here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_key';
+
+const botConfig = require('../src/config/botConfig');
+const { getProvider } = require('../src/ai/providers');
+const { generateResponse } = require('../src/ai/model');
+
+// Fake providers whose chat is replaced per test: one that fails and one that never answers
+botConfig.ai.providers.failing = { type: 'fake' };
+botConfig.ai.providers.hanging = { type: 'fake' };
+getProvider('failing').chat = async () => { throw new Error('503 Service Unavailable'); };
+getProvider('hanging').chat = () => new Promise(() => {});
+
+const messages = [
+  { role: 'system', content: 'You are a friendly plant doctor.' },
+  { role: 'user', content: [{ type: 'text', text: 'Why are my leaves yellow?' }, { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }] }
+];
+
+// Runs with another model chain and restores the configured one afterwards
+async function withModel(model, fn) {
+  const configured = botConfig.ai.model;
+  botConfig.ai.model = { ...configured, ...model };
+  try {
+    return await fn();
+  } finally {
+    botConfig.ai.model = configured;
+  }
+}
+
+test('the fake provider answers offline with the user text and image count', async () => {
+  const reply = await withModel({ provider: 'fake', name: 'fake-model', fallbacks: [] }, () => generateResponse(messages));
+
+  assert.strictEqual(reply, '[fake-model] Why are my leaves yellow? (1 image)');
+});
+
+test('a failing primary model falls back to the next one in the chain', async () => {
+  const reply = await withModel(
+    { provider: 'failing', name: 'primary', fallbacks: [{ provider: 'fake', name: 'fallback' }] },
+    () => generateResponse(messages)
+  );
+
+  assert.strictEqual(reply, '[fallback] Why are my leaves yellow? (1 image)');
+});
+
+test('a model that times out falls back to the next one in the chain', async () => {
+  const reply = await withModel(
+    { provider: 'hanging', name: 'slow', timeout: 50, fallbacks: [{ provider: 'fake', name: 'fallback' }] },
+    () => generateResponse(messages)
+  );
+
+  assert.strictEqual(reply, '[fallback] Why are my leaves yellow? (1 image)');
+});
+
+test('the error of the last model is thrown when every model fails', async () => {
+  await assert.rejects(
+    withModel(
+      { provider: 'failing', name: 'primary', timeout: 50, fallbacks: [{ provider: 'hanging', name: 'slow' }] },
+      () => generateResponse(messages)
+    ),
+    { message: 'hanging/slow timed out after 50ms' }
+  );
+});
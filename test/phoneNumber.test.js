@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseWhatsAppNumber } = require('../src/utils/phoneNumber');
+
+// [description, wa_id as WhatsApp sends it, expected result]
+const cases = [
+  ['US number in the NANP', '12025550123', { e164: '+12025550123', callingCode: '1', country: 'US', valid: true }],
+  ['Jamaican number sharing +1 (area code 876)', '18765550123', { e164: '+18765550123', callingCode: '1', country: 'JM', valid: true }],
+  ['+1 number matching no region', '1555', { e164: '+1555', callingCode: '1', country: null, valid: false }],
+  ['8-digit national number (Hungary)', '3612345678', { e164: '+3612345678', callingCode: '36', country: 'HU', valid: true }],
+  ['11-digit national number (German mobile)', '4915112345678', { e164: '+4915112345678', callingCode: '49', country: 'DE', valid: true }],
+  ['11-digit national number (Brazilian mobile)', '5511987654321', { e164: '+5511987654321', callingCode: '55', country: 'BR', valid: true }],
+  ['formatted number with plus and punctuation', '+1 (876) 555-0123', { e164: '+18765550123', callingCode: '1', country: 'JM', valid: true }],
+  ['too short to be a number of its region', '4912', { e164: '+4912', callingCode: '49', country: 'DE', valid: false }],
+  ['unassigned calling code', '99912345', null],
+  ['no digits', 'abc', null],
+  ['empty', '', null],
+  ['missing', undefined, null]
+];
+
+for (const [description, waId, expected] of cases) {
+  test(`parseWhatsAppNumber: ${description}`, () => {
+    assert.deepStrictEqual(parseWhatsAppNumber(waId), expected);
+  });
+}
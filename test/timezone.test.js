@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { addInterval, zonedTimeToUtc } = require('../src/utils/timezone');
+
+const TIMEZONE = 'Europe/Berlin';
+
+function local(year, month, day, hour = 9) {
+  return zonedTimeToUtc({ year, month, day, hour, minute: 0 }, TIMEZONE);
+}
+
+test('monthly repeats clamp to short months and return to the anchor day', () => {
+  const repeat = { interval: 1, unit: 'month', anchorDay: 31 };
+  const february = addInterval(local(2025, 1, 31), repeat, TIMEZONE);
+  const march = addInterval(february, repeat, TIMEZONE);
+  const april = addInterval(march, repeat, TIMEZONE);
+
+  assert.deepStrictEqual([february, march, april], [local(2025, 2, 28), local(2025, 3, 31), local(2025, 4, 30)]);
+});
+
+test('monthly repeats without an anchor keep the day of the date', () => {
+  assert.deepStrictEqual(addInterval(local(2025, 1, 15), { interval: 2, unit: 'month' }, TIMEZONE), local(2025, 3, 15));
+});
+
+test('daily and weekly repeats keep the local time across daylight saving changes', () => {
+  assert.deepStrictEqual(addInterval(local(2025, 3, 29), { interval: 1, unit: 'day' }, TIMEZONE), local(2025, 3, 30));
+  assert.deepStrictEqual(addInterval(local(2025, 10, 20), { interval: 1, unit: 'week' }, TIMEZONE), local(2025, 10, 27));
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const APP_SECRET = 'test-app-secret';
+process.env.WHATSAPP_APP_SECRET = APP_SECRET;
+delete process.env.WHATSAPP_SKIP_SIGNATURE_VERIFICATION;
+
+const { verifyWhatsAppSignature, isValidSignature } = require('../src/middleware/verifyWhatsAppSignature');
+
+// A webhook delivery as Meta sends it
+const fixture = Buffer.from(JSON.stringify({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: '102290129340398',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550783881', phone_number_id: '106540352242922' },
+        messages: [{ from: '4915112345678', id: 'wamid.HBgLMTY0NjcwNDM1OTUVAgASGBQzQTdCNTg5RjY1MEI2', timestamp: '1714510003', type: 'text', text: { body: 'My monstera has yellow leaves' } }]
+      }
+    }]
+  }]
+}));
+
+function sign(body, secret = APP_SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Runs the middleware, returns the status it sent or 'next' when the request was let through
+function run(rawBody, signature) {
+  const req = { rawBody, headers: signature === undefined ? {} : { 'x-hub-signature-256': signature } };
+  let outcome = null;
+  const res = { sendStatus: (status) => { outcome = status; } };
+  verifyWhatsAppSignature(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('accepts a payload signed with the app secret', () => {
+  assert.strictEqual(run(fixture, sign(fixture)), 'next');
+});
+
+test('rejects a signature made with another secret', () => {
+  assert.strictEqual(run(fixture, sign(fixture, 'another-secret')), 401);
+});
+
+test('rejects a malformed signature', () => {
+  assert.strictEqual(run(fixture, 'sha256=not-hex'), 401);
+  assert.strictEqual(run(fixture, sign(fixture).replace('sha256=', 'sha1=')), 401);
+});
+
+test('rejects a request without the signature header', () => {
+  assert.strictEqual(run(fixture, undefined), 401);
+});
+
+test('rejects a body changed after signing', () => {
+  const signature = sign(fixture);
+  const tampered = Buffer.from(fixture.toString().replace('yellow leaves', 'a discount code'));
+  assert.strictEqual(run(tampered, signature), 401);
+});
+
+test('isValidSignature needs the raw body', () => {
+  assert.strictEqual(isValidSignature(undefined, sign(fixture), APP_SECRET), false);
+  assert.strictEqual(isValidSignature(fixture, sign(fixture), APP_SECRET), true);
+});
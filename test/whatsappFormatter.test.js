@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { formatForWhatsApp, splitMessage } = require('../src/utils/whatsappFormatter');
+
+test('converts bold, italic and strikethrough', () => {
+  assert.strictEqual(formatForWhatsApp('**bold**, *italic* and ~~gone~~'), '*bold*, _italic_ and ~gone~');
+});
+
+test('converts bold italic without crossing the markers', () => {
+  assert.strictEqual(formatForWhatsApp('***both***'), '*_both_*');
+  assert.strictEqual(formatForWhatsApp('very ___both___ here'), 'very *_both_* here');
+});
+
+test('leaves identifiers with underscores alone', () => {
+  assert.strictEqual(formatForWhatsApp('Define __init__ in the class'), 'Define __init__ in the class');
+  assert.strictEqual(formatForWhatsApp('Set snake_case_name'), 'Set snake_case_name');
+  assert.strictEqual(formatForWhatsApp('__two words__'), '*two words*');
+});
+
+test('returns no chunks for an empty message', () => {
+  assert.deepStrictEqual(splitMessage(''), []);
+});
+
+test('keeps a short message in one chunk', () => {
+  assert.deepStrictEqual(splitMessage('Water once a week.', 50), ['Water once a week.']);
+});
+
+test('splits a long paragraph at line breaks and keeps them', () => {
+  const text = '• Bright, indirect light\n• Water once a week\n• Wipe the leaves monthly';
+  assert.deepStrictEqual(splitMessage(text, 45), [
+    '• Bright, indirect light\n• Water once a week',
+    '• Wipe the leaves monthly'
+  ]);
+});
+
+test('splits at paragraphs, then sentences of an overlong line', () => {
+  const text = 'Short intro.\n\nFirst sentence here. Second sentence here. Third one.';
+  assert.deepStrictEqual(splitMessage(text, 42), [
+    'Short intro.',
+    'First sentence here. Second sentence here.',
+    'Third one.'
+  ]);
+});
+
+test('cuts a sentence without breaks at whitespace', () => {
+  assert.deepStrictEqual(splitMessage('aaaa bbbb cccc dddd', 10), ['aaaa bbbb', 'cccc dddd']);
+});